@@ -0,0 +1,274 @@
+/* Header analysis for phishing triage: the Received chain, sender authentication, address
+   mismatches and deceptive links, summed up as a verdict table that can be exported as JSON */
+
+/* Severity of each check, worst last */
+const ANALYSIS_SEVERITIES = ["pass", "info", "warn", "fail"];
+
+/* Overall verdict by the worst severity found */
+const ANALYSIS_VERDICTS = {
+  pass: "No red flags found",
+  info: "No red flags found",
+  warn: "Needs review",
+  fail: "Suspicious"
+};
+
+/* Hops further apart than this are flagged as delayed */
+const HOP_DELAY_WARNING_SECONDS = 60 * 60;
+
+/* Hops this far back in time point at a wrong clock or a forged header */
+const HOP_SKEW_WARNING_SECONDS = 5 * 60;
+
+const IPV4_PATTERN = /\b(?:25[0-5]|2[0-4]\d|1?\d?\d)(?:\.(?:25[0-5]|2[0-4]\d|1?\d?\d)){3}\b/g;
+const IPV6_PATTERN = /[[(](?:IPv6:)?([0-9A-Fa-f]*:[0-9A-Fa-f:.]+)[\])]/g;
+
+/* Whether an IP address is private, loopback or link-local rather than on the internet */
+function isPrivateIp(ip) {
+  if (ip.includes(":")) {
+    return /^(::1$|f[cd]|fe80:)/i.test(ip);
+  }
+  const [a, b] = ip.split(".").map(Number);
+  return a === 10 || a === 127 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) ||
+    (a === 169 && b === 254) || (a === 100 && b >= 64 && b <= 127);
+}
+
+/* Parse one Received header into the sending host, receiving host, protocol, IPs and date */
+function parseReceivedHeader(value) {
+  const semicolon = value.lastIndexOf(";");
+  const clauses = semicolon === -1 ? value : value.substring(0, semicolon);
+  const date = semicolon === -1 ? null : new Date(value.substring(semicolon + 1).trim());
+  // The sending host's IPs are in the from clause, before "by"
+  const byIndex = clauses.search(/\sby\s/i);
+  const fromClause = /^\s*from\s/i.test(clauses) ? clauses.substring(0, byIndex === -1 ? clauses.length : byIndex) : "";
+
+  const ips = [...fromClause.matchAll(IPV6_PATTERN)].map(match => match[1]).concat(fromClause.match(IPV4_PATTERN) || []);
+  return {
+    from: (/^\s*from\s+(\S+)/i.exec(clauses) || [])[1] || null,
+    by: (/\sby\s+(\S+)/i.exec(clauses) || [])[1] || null,
+    with: ((/\swith\s+([^;(]+?)(?=\s+\(|\s+id\s|\s+via\s|\s+for\s|$)/i.exec(clauses) || [])[1] || "").trim() || null,
+    ips: [...new Set(ips)],
+    date: date && !isNaN(date) ? date : null
+  };
+}
+
+/* Parse the Received chain in the order the message travelled; each header is prepended by the
+   server that added it, so the oldest hop is the last header */
+function analyzeReceivedChain(headers) {
+  const hops = headers.filter(([name]) => name.toLowerCase() === "received").map(([, value]) => parseReceivedHeader(value)).reverse();
+
+  hops.forEach((hop, index) => {
+    const previous = hops[index - 1];
+    hop.delaySeconds = previous && previous.date && hop.date ? Math.round((hop.date - previous.date) / 1000) : null;
+  });
+  return hops;
+}
+
+/* Remove (comments) from a structured header, nested ones included */
+function stripHeaderComments(value) {
+  let previous;
+  let text = value;
+  do {
+    previous = text;
+    text = text.replace(/\([^()]*\)/g, " ");
+  } while (text !== previous);
+  return text;
+}
+
+/* Parse Authentication-Results into method results such as { method: "spf", result: "pass", properties }.
+   Only the topmost header is used: it was added by the receiving organization, while lower ones
+   may have been written by the sender. */
+function parseAuthenticationResults(headers) {
+  const header = headers.find(([name]) => name.toLowerCase() === "authentication-results");
+  if (!header) {
+    return [];
+  }
+
+  return stripHeaderComments(header[1]).split(";").map((segment) => {
+    const match = /^\s*([a-z0-9-]+)\s*=\s*([a-z0-9]+)(.*)$/i.exec(segment);
+    if (!match) {
+      // The authserv-id and "none" carry no method result
+      return null;
+    }
+    const properties = {};
+    for (const property of match[3].matchAll(/([a-z]+\.[a-z0-9-]+)\s*=\s*("[^"]*"|[^\s;]+)/gi)) {
+      properties[property[1].toLowerCase()] = property[2].replace(/^"|"$/g, "");
+    }
+    return { method: match[1].toLowerCase(), result: match[2].toLowerCase(), properties: properties };
+  }).filter(Boolean);
+}
+
+/* The domain part of an address, lowercased */
+function getAddressDomain(address) {
+  return (address || "").split("@").pop().replace(/>$/, "").trim().toLowerCase();
+}
+
+/* Whether two domains belong together: equal, or one a subdomain of the other */
+function domainsAlign(a, b) {
+  return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
+
+/* Host of a URL, looking through Microsoft Safe Links wrapping; null for non-web links */
+function getLinkHost(url) {
+  try {
+    const parsed = new URL(url);
+    if (/\.safelinks\.protection\.outlook\.com$/i.test(parsed.hostname) && parsed.searchParams.get("url")) {
+      return getLinkHost(parsed.searchParams.get("url"));
+    }
+    return /^https?:$/.test(parsed.protocol) ? parsed.hostname.toLowerCase().replace(/^www\./, "") : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/* Find links in an HTML body whose visible text names a different site than they lead to */
+function analyzeLinks(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return Array.from(doc.querySelectorAll("a[href]")).map((anchor) => {
+    const href = anchor.getAttribute("href").trim();
+    const text = anchor.textContent.replace(/\s+/g, " ").trim();
+    const host = getLinkHost(href);
+    const textLooksLikeUrl = /^(https?:\/\/)?([a-z0-9-]+\.)+[a-z]{2,}(:\d+)?([/?#]\S*)?$/i.test(text);
+    const textHost = textLooksLikeUrl ? getLinkHost(/^https?:\/\//i.test(text) ? text : `http://${text}`) : null;
+
+    return {
+      text: text,
+      href: href,
+      host: host,
+      mismatch: !!(host && textHost && !domainsAlign(host, textHost)),
+      ipHost: !!(host && (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith("[")))
+    };
+  });
+}
+
+/* Describe one authentication method as a check */
+function createAuthenticationCheck(results, method, label) {
+  const found = results.filter(result => result.method === method);
+  if (found.length === 0) {
+    return { check: label, severity: "info", result: "not reported", details: "The receiving server did not record this check." };
+  }
+
+  const values = found.map(result => result.result);
+  const severity = values.includes("pass") || values.includes("bestguesspass") ? "pass"
+    : values.some(value => value === "fail" || value === "hardfail") ? "fail" : "warn";
+  const details = found.map((result) => {
+    const properties = Object.keys(result.properties).map(name => `${name}=${result.properties[name]}`).join(" ");
+    return `${result.result}${properties ? ` (${properties})` : ""}`;
+  }).join("; ");
+  return { check: label, severity: severity, result: values.join(", "), details: details };
+}
+
+/* Analyze a parsed message; root may carry only headers when the body was not parsed */
+function analyzeMessage(root) {
+  const headers = root.headers;
+  const from = getAddressHeader(headers, "From")[0] || { name: "", address: "" };
+  const fromDomain = getAddressDomain(from.address);
+  const checks = [];
+
+  const authentication = parseAuthenticationResults(headers);
+  checks.push(createAuthenticationCheck(authentication, "spf", "SPF"));
+  checks.push(createAuthenticationCheck(authentication, "dkim", "DKIM"));
+  checks.push(createAuthenticationCheck(authentication, "dmarc", "DMARC"));
+  if (authentication.some(result => result.method === "compauth")) {
+    checks.push(createAuthenticationCheck(authentication, "compauth", "Composite authentication (Microsoft)"));
+  }
+
+  const returnPath = getRawHeaderValue(headers, "Return-Path").replace(/[<>\s]/g, "");
+  const returnPathDomain = getAddressDomain(returnPath);
+  if (!returnPath) {
+    checks.push({ check: "Return-Path vs From", severity: "info", result: "no Return-Path", details: "" });
+  } else {
+    const aligned = domainsAlign(returnPathDomain, fromDomain);
+    checks.push({
+      check: "Return-Path vs From",
+      severity: aligned ? "pass" : "warn",
+      result: aligned ? "aligned" : "different domains",
+      details: `Return-Path ${returnPath}, From ${from.address}` + (aligned ? "" : ". Common for mailing services, but also for spoofed senders.")
+    });
+  }
+
+  const replyTo = getAddressHeader(headers, "Reply-To");
+  if (replyTo.length > 0) {
+    const foreign = replyTo.filter(entry => !domainsAlign(getAddressDomain(entry.address), fromDomain));
+    const different = replyTo.filter(entry => entry.address.toLowerCase() !== from.address.toLowerCase());
+    checks.push({
+      check: "Reply-To",
+      severity: foreign.length > 0 ? "warn" : different.length > 0 ? "info" : "pass",
+      result: foreign.length > 0 ? "replies go to another domain" : different.length > 0 ? "different address, same domain" : "same as From",
+      details: replyTo.map(entry => entry.address).join(", ")
+    });
+  }
+
+  // A display name holding an address other than the real sender is a classic spoofing trick
+  const nameAddresses = (from.name.match(/[^\s<>"']+@[^\s<>"']+/g) || []).filter(address => address.toLowerCase() !== from.address.toLowerCase());
+  checks.push({
+    check: "From display name",
+    severity: nameAddresses.length > 0 ? "fail" : "pass",
+    result: nameAddresses.length > 0 ? "shows another address" : "ok",
+    details: `${from.name ? `"${from.name}" ` : ""}<${from.address}>`
+  });
+
+  const hops = analyzeReceivedChain(headers);
+  const skewed = hops.filter(hop => hop.delaySeconds !== null && hop.delaySeconds < -HOP_SKEW_WARNING_SECONDS);
+  const delayed = hops.filter(hop => hop.delaySeconds !== null && hop.delaySeconds > HOP_DELAY_WARNING_SECONDS);
+  const dated = hops.filter(hop => hop.date);
+  const transitSeconds = dated.length > 1 ? Math.round((dated[dated.length - 1].date - dated[0].date) / 1000) : null;
+  checks.push({
+    check: "Received chain",
+    severity: hops.length === 0 ? "info" : skewed.length > 0 || delayed.length > 0 ? "warn" : "pass",
+    result: `${hops.length} hop(s)` + (transitSeconds !== null ? `, ${transitSeconds}s in transit` : ""),
+    details: [
+      skewed.length > 0 ? `${skewed.length} hop(s) dated before the previous one` : "",
+      delayed.length > 0 ? `${delayed.length} hop(s) delayed by more than an hour` : ""
+    ].filter(Boolean).join("; ")
+  });
+
+  // The oldest public address in the chain; earlier hops can be forged by the sender, so it is a lead, not proof
+  const receivedSpf = getRawHeaderValue(headers, "Received-SPF");
+  const clientIp = (/client-ip=([0-9A-Fa-f:.]+)/i.exec(receivedSpf) || [])[1];
+  const originIp = clientIp || hops.flatMap(hop => hop.ips).find(ip => !isPrivateIp(ip));
+  if (originIp) {
+    checks.push({ check: "Sending IP", severity: "info", result: originIp, details: clientIp ? "from Received-SPF" : "earliest public IP in the Received chain" });
+  }
+
+  let links = [];
+  let htmlPart = null;
+  if (root.parts || root.body !== undefined) {
+    walkMimeParts(root, (part) => {
+      if (!htmlPart && part.contentType === "text/html" && part.body !== undefined && !isAttachmentPart(part)) {
+        htmlPart = part;
+      }
+    });
+  }
+  if (htmlPart) {
+    links = analyzeLinks(getPartText(htmlPart));
+    const mismatched = links.filter(link => link.mismatch);
+    const ipLinks = links.filter(link => link.ipHost);
+    checks.push({
+      check: "Links",
+      severity: mismatched.length > 0 ? "fail" : ipLinks.length > 0 ? "warn" : "pass",
+      result: `${links.length} link(s), ${mismatched.length} with misleading text` + (ipLinks.length > 0 ? `, ${ipLinks.length} to IP addresses` : ""),
+      details: mismatched.map(link => `"${link.text}" goes to ${link.host}`).join("; ")
+    });
+  }
+
+  const worst = checks.reduce((worstSeverity, check) => {
+    return ANALYSIS_SEVERITIES.indexOf(check.severity) > ANALYSIS_SEVERITIES.indexOf(worstSeverity) ? check.severity : worstSeverity;
+  }, "pass");
+
+  return {
+    analyzedAt: new Date().toISOString(),
+    subject: getHeaderValue(headers, "Subject"),
+    messageId: getRawHeaderValue(headers, "Message-ID"),
+    from: from,
+    verdict: ANALYSIS_VERDICTS[worst],
+    severity: worst,
+    checks: checks,
+    authentication: authentication,
+    hops: hops,
+    links: links
+  };
+}
+
+/* Serialize an analysis report for export */
+function createAnalysisJson(report) {
+  return new Blob([JSON.stringify(report, null, 2)], { type: "application/json" });
+}
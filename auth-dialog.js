@@ -0,0 +1,41 @@
+/* Sign-in page opened by getTokenFromDialog through the Office dialog API.
+   Runs a redirect sign-in, then hands the token back with messageParent. */
+
+const DIALOG_SCOPES_KEY = "sedEmailDownloader.dialogScopes";
+
+/* Send the result back to the task pane */
+function sendToParent(message) {
+  Office.context.ui.messageParent(JSON.stringify(message));
+}
+
+Office.onReady(async () => {
+  try {
+    // The scopes only arrive on the first load; keep them across the sign-in redirect
+    const scopesParam = new URLSearchParams(window.location.search).get("scopes");
+    if (scopesParam) {
+      sessionStorage.setItem(DIALOG_SCOPES_KEY, scopesParam);
+    }
+    const scopes = (sessionStorage.getItem(DIALOG_SCOPES_KEY) || GRAPH_SCOPES.join(" ")).split(" ");
+
+    const dialogMsal = new msal.PublicClientApplication({
+      auth: { ...msalConfig.auth, redirectUri: AUTH_DIALOG_URL },
+      cache: msalConfig.cache
+    });
+    await dialogMsal.initialize();
+
+    const response = await dialogMsal.handleRedirectPromise();
+    if (response) {
+      sendToParent({
+        type: "token",
+        accessToken: response.accessToken,
+        expiresOn: response.expiresOn.toISOString(),
+        username: response.account.username
+      });
+      return;
+    }
+
+    await dialogMsal.loginRedirect({ scopes: scopes, prompt: "select_account" });
+  } catch (error) {
+    sendToParent({ type: "error", error: error.message });
+  }
+});
@@ -0,0 +1,233 @@
+/* Azure AD MSAL config */
+const msalConfig = {
+  auth: {
+    clientId: "10f65a22-c90e-44bc-9c3f-dbb90c8d6a92",
+    redirectUri: "https://alvar0murga.github.io/download-email-eml/"
+  },
+  cache: {
+    cacheLocation: "sessionStorage",
+    storeAuthStateInCookie: false,
+  }
+};
+
+/* Graph permissions requested by the add-in; Mail.Read.Shared covers shared and delegated mailboxes */
+const GRAPH_SCOPES = ["https://graph.microsoft.com/Mail.Read", "https://graph.microsoft.com/Mail.Read.Shared"];
+
+/* Requested only when a message is reported to the security team. Moving the reported original,
+   or attaching a large one through a draft, also needs write access to the mailbox. */
+const REPORT_SCOPES = [...GRAPH_SCOPES, "https://graph.microsoft.com/Mail.Send"];
+const REPORT_WRITE_SCOPES = [...REPORT_SCOPES, "https://graph.microsoft.com/Mail.ReadWrite", "https://graph.microsoft.com/Mail.ReadWrite.Shared"];
+
+/* Requested only when an appointment or meeting message is exported as .ics */
+const CALENDAR_SCOPES = [...GRAPH_SCOPES, "https://graph.microsoft.com/Calendars.Read", "https://graph.microsoft.com/Calendars.Read.Shared"];
+
+/* Sign-in page opened through the Office dialog API when nested app authentication is unavailable.
+   Its URL must be registered as a SPA redirect URI on the app registration. */
+const AUTH_DIALOG_URL = "https://alvar0murga.github.io/download-email-eml/auth-dialog.html";
+
+/* localStorage key remembering which account the user picked */
+const ACCOUNT_STORAGE_KEY = "sedEmailDownloader.accountId";
+
+let msalInstance = null;
+let isNestedAppAuth = false;
+let dialogToken = null;
+
+/* Start MSAL - Create and initialize instance.
+   Nested app authentication (NAA) is preferred: Outlook brokers the sign-in, so no
+   browser popup is needed. Office.auth.getAccessToken is not used because its token
+   is issued for the add-in itself and would need an on-behalf-of exchange on a server. */
+async function initializeMsal() {
+  if (msalInstance) {
+    return msalInstance;
+  }
+
+  if (typeof Office !== "undefined" && Office.context?.requirements?.isSetSupported("NestedAppAuth", "1.1") &&
+      typeof msal.createNestablePublicClientApplication === "function") {
+    try {
+      msalInstance = await msal.createNestablePublicClientApplication({ auth: { clientId: msalConfig.auth.clientId } });
+      isNestedAppAuth = true;
+      return msalInstance;
+    } catch (error) {
+      msalInstance = null;
+    }
+  }
+
+  try {
+    msalInstance = new msal.PublicClientApplication(msalConfig);
+    await msalInstance.initialize();
+    isNestedAppAuth = false;
+    return msalInstance;
+  } catch (error) {
+    msalInstance = null;
+    throw error;
+  }
+}
+
+/* List the accounts MSAL knows about */
+function getAccounts() {
+  return msalInstance ? msalInstance.getAllAccounts() : [];
+}
+
+/* Pick the account to use: the user's choice, else the one matching the mailbox, else the only one */
+function getSelectedAccount() {
+  const accounts = getAccounts();
+  const savedId = localStorage.getItem(ACCOUNT_STORAGE_KEY);
+  const mailboxAddress = (typeof Office !== "undefined" && Office.context?.mailbox?.userProfile?.emailAddress || "").toLowerCase();
+
+  return accounts.find(account => account.homeAccountId === savedId) ||
+    accounts.find(account => mailboxAddress && account.username.toLowerCase() === mailboxAddress) ||
+    (accounts.length === 1 ? accounts[0] : null);
+}
+
+/* Remember the account the user picked */
+function selectAccount(account) {
+  if (account) {
+    localStorage.setItem(ACCOUNT_STORAGE_KEY, account.homeAccountId);
+  } else {
+    localStorage.removeItem(ACCOUNT_STORAGE_KEY);
+  }
+  dialogToken = null;
+}
+
+/* Sign in interactively, letting the user pick an account (NAA prompt or popup) */
+async function signIn() {
+  if (!msalInstance) {
+    throw new Error("MSAL not initialized");
+  }
+
+  const loginRequest = {
+    scopes: GRAPH_SCOPES,
+    prompt: "select_account"
+  };
+
+  const loginResponse = isNestedAppAuth
+    ? await msalInstance.acquireTokenPopup(loginRequest)
+    : await msalInstance.loginPopup(loginRequest);
+  selectAccount(loginResponse.account);
+  return loginResponse.account;
+}
+
+/* Sign the selected account out of the add-in */
+async function signOut() {
+  if (!msalInstance) {
+    await initializeMsal();
+  }
+
+  const account = getSelectedAccount();
+  selectAccount(null);
+
+  if (!account) {
+    return;
+  }
+
+  if (isNestedAppAuth) {
+    // Outlook owns the NAA session; only the add-in's token cache is cleared
+    await msalInstance.clearCache({ account: account });
+    return;
+  }
+
+  try {
+    await msalInstance.logoutPopup({ account: account });
+  } catch (error) {
+    await msalInstance.clearCache({ account: account });
+  }
+}
+
+/* Sign in through the Office dialog API and receive the token from the dialog page */
+function getTokenFromDialog(scopes) {
+  return new Promise((resolve, reject) => {
+    const url = `${AUTH_DIALOG_URL}?scopes=${encodeURIComponent(scopes.join(" "))}`;
+
+    Office.context.ui.displayDialogAsync(url, { height: 60, width: 30 }, (result) => {
+      if (result.status !== Office.AsyncResultStatus.Succeeded) {
+        reject(new Error(`Sign-in dialog could not open: ${result.error.message}`));
+        return;
+      }
+
+      const dialog = result.value;
+      dialog.addEventHandler(Office.EventType.DialogMessageReceived, (arg) => {
+        dialog.close();
+        let message;
+        try {
+          message = JSON.parse(arg.message);
+        } catch (error) {
+          reject(new Error("The sign-in dialog sent an unreadable message"));
+          return;
+        }
+        if (message.type === "token") {
+          resolve(message);
+        } else {
+          reject(new Error(message.error || "Sign-in failed"));
+        }
+      });
+      dialog.addEventHandler(Office.EventType.DialogEventReceived, (arg) => {
+        reject(new Error(`Sign-in dialog closed (${arg.error})`));
+      });
+    });
+  });
+}
+
+/* Get access token silently or interactively: NAA, then the dialog API, then popups.
+   Pass { forceRefresh: true } to replace a token the service rejected, and { scopes }
+   to ask for permissions beyond GRAPH_SCOPES only when a feature needs them. */
+async function getToken(options = {}) {
+  if (!msalInstance) {
+    await initializeMsal();
+  }
+
+  const scopes = options.scopes || GRAPH_SCOPES;
+
+  // A token from the sign-in dialog lives only in memory; reuse it until shortly before expiry
+  if (options.forceRefresh) {
+    dialogToken = null;
+  } else if (dialogToken && dialogToken.scopes === scopes.join(" ") && dialogToken.expiresOn - Date.now() > 60000) {
+    return dialogToken.accessToken;
+  }
+
+  const account = getSelectedAccount();
+  if (account) {
+    try {
+      const response = await msalInstance.acquireTokenSilent({ scopes: scopes, account: account, forceRefresh: !!options.forceRefresh });
+      return response.accessToken;
+    } catch (error) {
+      if (!(error instanceof msal.InteractionRequiredAuthError) && !isNestedAppAuth) {
+        throw error;
+      }
+    }
+  }
+
+  const errors = [];
+
+  if (isNestedAppAuth) {
+    try {
+      const response = await msalInstance.acquireTokenPopup({ scopes: scopes, account: account || undefined });
+      selectAccount(response.account);
+      return response.accessToken;
+    } catch (error) {
+      errors.push(`Nested app authentication: ${error.message}`);
+    }
+  }
+
+  if (typeof Office !== "undefined" && Office.context?.ui?.displayDialogAsync) {
+    try {
+      const response = await getTokenFromDialog(scopes);
+      dialogToken = { accessToken: response.accessToken, expiresOn: new Date(response.expiresOn).getTime(), scopes: scopes.join(" ") };
+      return response.accessToken;
+    } catch (error) {
+      errors.push(`Sign-in dialog: ${error.message}`);
+    }
+  }
+
+  // Last resort: classic popups, which popup blockers and the new Outlook may refuse
+  try {
+    const response = account
+      ? await msalInstance.acquireTokenPopup({ scopes: scopes, account: account })
+      : await msalInstance.loginPopup({ scopes: scopes, prompt: "select_account" });
+    selectAccount(response.account);
+    return response.accessToken;
+  } catch (error) {
+    errors.push(`Popup: ${error.message}`);
+  }
+
+  throw new Error(`Sign-in failed:\n${errors.join('\n')}`);
+}
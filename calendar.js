@@ -0,0 +1,551 @@
+/* Calendar export: appointments and meeting messages as RFC 5545 iCalendar (.ics), built from the
+   Graph event. Graph is asked for UTC times, which are converted back to the event's own time
+   zone with Intl; the VTIMEZONE rules are worked out the same way. */
+
+/* Ask Graph for UTC times and plain-text bodies */
+const CALENDAR_PREFER_HEADER = 'outlook.timezone="UTC", outlook.body-content-type="text"';
+
+const CALENDAR_EVENT_SELECT = "subject,body,start,end,isAllDay,location,locations,organizer,attendees,recurrence,iCalUId," +
+  "originalStartTimeZone,type,seriesMasterId,sensitivity,showAs,importance,isCancelled,isReminderOn," +
+  "reminderMinutesBeforeStart,categories,createdDateTime,lastModifiedDateTime,onlineMeeting";
+
+/* Windows time zone names, which Outlook stores, mapped to IANA names: the territory "001"
+   entries of CLDR windowsZones. Other names are tried as IANA names; the rest are written in UTC
+   with a warning (see createCalendarText). */
+const WINDOWS_TIME_ZONES = {
+  "Dateline Standard Time": "Etc/GMT+12",
+  "UTC-11": "Etc/GMT+11",
+  "Aleutian Standard Time": "America/Adak",
+  "Hawaiian Standard Time": "Pacific/Honolulu",
+  "Marquesas Standard Time": "Pacific/Marquesas",
+  "Alaskan Standard Time": "America/Anchorage",
+  "UTC-09": "Etc/GMT+9",
+  "Pacific Standard Time (Mexico)": "America/Tijuana",
+  "UTC-08": "Etc/GMT+8",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "US Mountain Standard Time": "America/Phoenix",
+  "Mountain Standard Time (Mexico)": "America/Mazatlan",
+  "Mountain Standard Time": "America/Denver",
+  "Yukon Standard Time": "America/Whitehorse",
+  "Central America Standard Time": "America/Guatemala",
+  "Central Standard Time": "America/Chicago",
+  "Easter Island Standard Time": "Pacific/Easter",
+  "Central Standard Time (Mexico)": "America/Mexico_City",
+  "Canada Central Standard Time": "America/Regina",
+  "SA Pacific Standard Time": "America/Bogota",
+  "Eastern Standard Time (Mexico)": "America/Cancun",
+  "Eastern Standard Time": "America/New_York",
+  "Haiti Standard Time": "America/Port-au-Prince",
+  "Cuba Standard Time": "America/Havana",
+  "US Eastern Standard Time": "America/Indianapolis",
+  "Turks And Caicos Standard Time": "America/Grand_Turk",
+  "Paraguay Standard Time": "America/Asuncion",
+  "Atlantic Standard Time": "America/Halifax",
+  "Venezuela Standard Time": "America/Caracas",
+  "Central Brazilian Standard Time": "America/Cuiaba",
+  "SA Western Standard Time": "America/La_Paz",
+  "Pacific SA Standard Time": "America/Santiago",
+  "Newfoundland Standard Time": "America/St_Johns",
+  "Tocantins Standard Time": "America/Araguaina",
+  "E. South America Standard Time": "America/Sao_Paulo",
+  "SA Eastern Standard Time": "America/Cayenne",
+  "Argentina Standard Time": "America/Buenos_Aires",
+  "Greenland Standard Time": "America/Godthab",
+  "Montevideo Standard Time": "America/Montevideo",
+  "Magallanes Standard Time": "America/Punta_Arenas",
+  "Saint Pierre Standard Time": "America/Miquelon",
+  "Bahia Standard Time": "America/Bahia",
+  "UTC-02": "Etc/GMT+2",
+  "Azores Standard Time": "Atlantic/Azores",
+  "Cape Verde Standard Time": "Atlantic/Cape_Verde",
+  "UTC": "UTC",
+  "GMT Standard Time": "Europe/London",
+  "Greenwich Standard Time": "Atlantic/Reykjavik",
+  "Sao Tome Standard Time": "Africa/Sao_Tome",
+  "Morocco Standard Time": "Africa/Casablanca",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "Romance Standard Time": "Europe/Paris",
+  "Central European Standard Time": "Europe/Warsaw",
+  "W. Central Africa Standard Time": "Africa/Lagos",
+  "Jordan Standard Time": "Asia/Amman",
+  "GTB Standard Time": "Europe/Bucharest",
+  "Middle East Standard Time": "Asia/Beirut",
+  "Egypt Standard Time": "Africa/Cairo",
+  "E. Europe Standard Time": "Europe/Chisinau",
+  "Syria Standard Time": "Asia/Damascus",
+  "West Bank Standard Time": "Asia/Hebron",
+  "South Africa Standard Time": "Africa/Johannesburg",
+  "FLE Standard Time": "Europe/Kiev",
+  "Israel Standard Time": "Asia/Jerusalem",
+  "South Sudan Standard Time": "Africa/Juba",
+  "Kaliningrad Standard Time": "Europe/Kaliningrad",
+  "Sudan Standard Time": "Africa/Khartoum",
+  "Libya Standard Time": "Africa/Tripoli",
+  "Namibia Standard Time": "Africa/Windhoek",
+  "Arabic Standard Time": "Asia/Baghdad",
+  "Turkey Standard Time": "Europe/Istanbul",
+  "Arab Standard Time": "Asia/Riyadh",
+  "Belarus Standard Time": "Europe/Minsk",
+  "Russian Standard Time": "Europe/Moscow",
+  "E. Africa Standard Time": "Africa/Nairobi",
+  "Volgograd Standard Time": "Europe/Volgograd",
+  "Iran Standard Time": "Asia/Tehran",
+  "Arabian Standard Time": "Asia/Dubai",
+  "Astrakhan Standard Time": "Europe/Astrakhan",
+  "Azerbaijan Standard Time": "Asia/Baku",
+  "Russia Time Zone 3": "Europe/Samara",
+  "Mauritius Standard Time": "Indian/Mauritius",
+  "Saratov Standard Time": "Europe/Saratov",
+  "Georgian Standard Time": "Asia/Tbilisi",
+  "Caucasus Standard Time": "Asia/Yerevan",
+  "Afghanistan Standard Time": "Asia/Kabul",
+  "West Asia Standard Time": "Asia/Tashkent",
+  "Ekaterinburg Standard Time": "Asia/Yekaterinburg",
+  "Pakistan Standard Time": "Asia/Karachi",
+  "Qyzylorda Standard Time": "Asia/Qyzylorda",
+  "India Standard Time": "Asia/Calcutta",
+  "Sri Lanka Standard Time": "Asia/Colombo",
+  "Nepal Standard Time": "Asia/Katmandu",
+  "Central Asia Standard Time": "Asia/Almaty",
+  "Bangladesh Standard Time": "Asia/Dhaka",
+  "Omsk Standard Time": "Asia/Omsk",
+  "Myanmar Standard Time": "Asia/Rangoon",
+  "SE Asia Standard Time": "Asia/Bangkok",
+  "Altai Standard Time": "Asia/Barnaul",
+  "W. Mongolia Standard Time": "Asia/Hovd",
+  "North Asia Standard Time": "Asia/Krasnoyarsk",
+  "N. Central Asia Standard Time": "Asia/Novosibirsk",
+  "Tomsk Standard Time": "Asia/Tomsk",
+  "China Standard Time": "Asia/Shanghai",
+  "North Asia East Standard Time": "Asia/Irkutsk",
+  "Singapore Standard Time": "Asia/Singapore",
+  "W. Australia Standard Time": "Australia/Perth",
+  "Taipei Standard Time": "Asia/Taipei",
+  "Ulaanbaatar Standard Time": "Asia/Ulaanbaatar",
+  "Aus Central W. Standard Time": "Australia/Eucla",
+  "Transbaikal Standard Time": "Asia/Chita",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "North Korea Standard Time": "Asia/Pyongyang",
+  "Korea Standard Time": "Asia/Seoul",
+  "Yakutsk Standard Time": "Asia/Yakutsk",
+  "Cen. Australia Standard Time": "Australia/Adelaide",
+  "AUS Central Standard Time": "Australia/Darwin",
+  "E. Australia Standard Time": "Australia/Brisbane",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "West Pacific Standard Time": "Pacific/Port_Moresby",
+  "Tasmania Standard Time": "Australia/Hobart",
+  "Vladivostok Standard Time": "Asia/Vladivostok",
+  "Lord Howe Standard Time": "Australia/Lord_Howe",
+  "Bougainville Standard Time": "Pacific/Bougainville",
+  "Russia Time Zone 10": "Asia/Srednekolymsk",
+  "Magadan Standard Time": "Asia/Magadan",
+  "Norfolk Standard Time": "Pacific/Norfolk",
+  "Sakhalin Standard Time": "Asia/Sakhalin",
+  "Central Pacific Standard Time": "Pacific/Guadalcanal",
+  "Russia Time Zone 11": "Asia/Kamchatka",
+  "New Zealand Standard Time": "Pacific/Auckland",
+  "UTC+12": "Etc/GMT-12",
+  "Fiji Standard Time": "Pacific/Fiji",
+  "Chatham Islands Standard Time": "Pacific/Chatham",
+  "UTC+13": "Etc/GMT-13",
+  "Tonga Standard Time": "Pacific/Tongatapu",
+  "Samoa Standard Time": "Pacific/Apia",
+  "Line Islands Standard Time": "Pacific/Kiritimati"
+};
+
+const ICS_DAY_CODES = { sunday: "SU", monday: "MO", tuesday: "TU", wednesday: "WE", thursday: "TH", friday: "FR", saturday: "SA" };
+const ICS_WEEK_INDEXES = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+const ICS_PARTSTATS = { accepted: "ACCEPTED", organizer: "ACCEPTED", declined: "DECLINED", tentativelyAccepted: "TENTATIVE" };
+const ICS_CLASSES = { normal: "PUBLIC", personal: "PRIVATE", private: "PRIVATE", confidential: "CONFIDENTIAL" };
+const ICS_PRIORITIES = { high: 1, normal: 5, low: 9 };
+
+/* iCalendar METHOD of each meeting message type, and the reply status a response carries */
+const MEETING_METHODS = {
+  meetingRequest: { method: "REQUEST" },
+  meetingCancelled: { method: "CANCEL" },
+  meetingAccepted: { method: "REPLY", partstat: "ACCEPTED" },
+  meetingTenativelyAccepted: { method: "REPLY", partstat: "TENTATIVE" },
+  meetingDeclined: { method: "REPLY", partstat: "DECLINED" }
+};
+
+/* Whether an Outlook item is exported as a calendar item: "appointment", "meeting" or null */
+function getCalendarItemKind(item) {
+  if (item.itemType === Office.MailboxEnums.ItemType.Appointment) {
+    return "appointment";
+  }
+  return /^IPM\.Schedule\.Meeting\./i.test(item.itemClass || "") ? "meeting" : null;
+}
+
+/* Parse a Graph date: a DateTimeTimeZone in UTC or a DateTimeOffset string */
+function parseGraphDateTime(value) {
+  const text = typeof value === "string" ? value : value.dateTime;
+  const trimmed = text.replace(/(\.\d{3})\d+/, "$1");
+  return new Date(/(Z|[+-]\d\d:\d\d)$/.test(trimmed) ? trimmed : `${trimmed}Z`);
+}
+
+/* The IANA time zone of an event, or null to write it in UTC */
+function resolveEventTimeZone(name) {
+  const candidate = WINDOWS_TIME_ZONES[name] || name;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: candidate });
+    return candidate === "UTC" ? null : candidate;
+  } catch (error) {
+    return null;
+  }
+}
+
+/* The wall-clock fields of an instant in a time zone */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(date).forEach((part) => {
+    parts[part.type] = Number(part.value);
+  });
+  return parts;
+}
+
+/* Minutes east of UTC in a time zone at an instant */
+function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000) / 60000;
+}
+
+/* The instant of a wall-clock time in a time zone */
+function getZonedInstant(year, month, day, hour, minute, second, timeZone) {
+  const local = Date.UTC(year, month - 1, day, hour, minute, second);
+  let instant = new Date(local - getTimeZoneOffset(new Date(local), timeZone) * 60000);
+  instant = new Date(local - getTimeZoneOffset(instant, timeZone) * 60000);
+  return instant;
+}
+
+const pad2 = (value) => String(value).padStart(2, "0");
+
+/* Format an instant as an iCalendar DATE-TIME: local to the zone, or UTC with a Z */
+function formatIcsDateTime(date, timeZone) {
+  if (!timeZone) {
+    return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  }
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}${pad2(p.month)}${pad2(p.day)}T${pad2(p.hour)}${pad2(p.minute)}${pad2(p.second)}`;
+}
+
+/* Format the day of an instant as an iCalendar DATE */
+function formatIcsDate(date, timeZone) {
+  return formatIcsDateTime(date, timeZone || "UTC").substring(0, 8);
+}
+
+/* Format a UTC offset in minutes as +HHMM */
+function formatIcsOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  return `${sign}${pad2(Math.floor(Math.abs(minutes) / 60))}${pad2(Math.abs(minutes) % 60)}`;
+}
+
+/* Build the VTIMEZONE of a zone by finding its offset changes during a year. Each change becomes
+   a yearly rule on the same weekday of the month (for example the last Sunday of March). */
+function createVTimeZone(timeZone, year) {
+  const transitions = [];
+  let previous = getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone);
+
+  for (let day = 1; day <= 366; day++) {
+    const date = new Date(Date.UTC(year, 0, 1 + day));
+    const offset = getTimeZoneOffset(date, timeZone);
+    if (offset !== previous) {
+      // Narrow the change down to the minute
+      let low = date.getTime() - 86400000;
+      let high = date.getTime();
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimeZoneOffset(new Date(middle), timeZone) === previous) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), from: previous, to: offset });
+      previous = offset;
+    }
+  }
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  if (transitions.length === 0) {
+    const offset = formatIcsOffset(previous);
+    lines.push("BEGIN:STANDARD", "DTSTART:19700101T000000", `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, "END:STANDARD");
+  }
+  transitions.forEach((transition) => {
+    // Onsets are written in the local time that was in effect before the change
+    const local = new Date(transition.at.getTime() + transition.from * 60000);
+    const day = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    const type = transition.to > transition.from ? "DAYLIGHT" : "STANDARD";
+    lines.push(`BEGIN:${type}`,
+      `DTSTART:${local.toISOString().replace(/[-:]/g, "").substring(0, 15)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${week}${Object.values(ICS_DAY_CODES)[local.getUTCDay()]}`,
+      `TZOFFSETFROM:${formatIcsOffset(transition.from)}`,
+      `TZOFFSETTO:${formatIcsOffset(transition.to)}`,
+      `END:${type}`);
+  });
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/* Escape a TEXT value */
+function escapeIcsText(value) {
+  return String(value).replace(/\r\n?/g, "\n").replace(/[\\;,]/g, "\\$&").replace(/\n/g, "\\n");
+}
+
+/* Quote a parameter value when it holds characters that end a parameter */
+function quoteIcsParameter(value) {
+  const clean = String(value).replace(/"/g, "'");
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/* Fold a content line to 75 octets, never splitting a UTF-8 character */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  let result = "";
+  let length = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (length + size > 75) {
+      result += "\r\n ";
+      length = 1;
+    }
+    result += char;
+    length += size;
+  }
+  return result;
+}
+
+/* A DATE-TIME property, with its TZID when the event has a zone */
+function formatIcsTimeProperty(name, date, timeZone, isAllDay) {
+  if (isAllDay) {
+    return `${name};VALUE=DATE:${formatIcsDate(date, timeZone)}`;
+  }
+  return timeZone ? `${name};TZID=${timeZone}:${formatIcsDateTime(date, timeZone)}` : `${name}:${formatIcsDateTime(date, null)}`;
+}
+
+/* Convert a Graph recurrence to an RRULE. An end date includes the whole of that day; with a time
+   zone, UNTIL has to be in UTC. */
+function createRecurrenceRule(recurrence, timeZone, isAllDay) {
+  const { pattern, range } = recurrence;
+  const days = (pattern.daysOfWeek || []).map(day => ICS_DAY_CODES[day]).join(",");
+  const rule = [];
+
+  switch (pattern.type) {
+    case "daily":
+      rule.push("FREQ=DAILY");
+      break;
+    case "weekly":
+      rule.push("FREQ=WEEKLY", `BYDAY=${days}`);
+      break;
+    case "absoluteMonthly":
+      rule.push("FREQ=MONTHLY", `BYMONTHDAY=${pattern.dayOfMonth}`);
+      break;
+    case "relativeMonthly":
+      rule.push("FREQ=MONTHLY", `BYDAY=${days}`, `BYSETPOS=${ICS_WEEK_INDEXES[pattern.index] || 1}`);
+      break;
+    case "absoluteYearly":
+      rule.push("FREQ=YEARLY", `BYMONTH=${pattern.month}`, `BYMONTHDAY=${pattern.dayOfMonth}`);
+      break;
+    case "relativeYearly":
+      rule.push("FREQ=YEARLY", `BYMONTH=${pattern.month}`, `BYDAY=${days}`, `BYSETPOS=${ICS_WEEK_INDEXES[pattern.index] || 1}`);
+      break;
+    default:
+      return null;
+  }
+
+  if (pattern.interval > 1) {
+    rule.push(`INTERVAL=${pattern.interval}`);
+  }
+  if (pattern.type === "weekly" && pattern.firstDayOfWeek) {
+    rule.push(`WKST=${ICS_DAY_CODES[pattern.firstDayOfWeek]}`);
+  }
+  if (range.type === "endDate" && range.endDate) {
+    const [year, month, day] = range.endDate.split("-").map(Number);
+    rule.push(isAllDay
+      ? `UNTIL=${range.endDate.replace(/-/g, "")}`
+      : `UNTIL=${formatIcsDateTime(timeZone ? getZonedInstant(year, month, day, 23, 59, 59, timeZone) : new Date(Date.UTC(year, month - 1, day, 23, 59, 59)), null)}`);
+  } else if (range.type === "numbered" && range.numberOfOccurrences) {
+    rule.push(`COUNT=${range.numberOfOccurrences}`);
+  }
+
+  return `RRULE:${rule.join(";")}`;
+}
+
+/* Format an attendee or organizer address as a CAL-ADDRESS with its parameters */
+function formatIcsAddress(name, emailAddress, parameters) {
+  const params = emailAddress.name ? [`CN=${quoteIcsParameter(emailAddress.name)}`, ...parameters] : parameters;
+  return `${[name, ...params].join(";")}:mailto:${emailAddress.address}`;
+}
+
+/* Build the VEVENT lines of an event. options: { method, timeZone, reply: { address, partstat } } */
+function createEventLines(event, options) {
+  const { timeZone, method } = options;
+  const start = parseGraphDateTime(event.start);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.iCalUId}`,
+    `DTSTAMP:${formatIcsDateTime(new Date(), null)}`,
+    formatIcsTimeProperty("DTSTART", start, timeZone, event.isAllDay),
+    formatIcsTimeProperty("DTEND", parseGraphDateTime(event.end), timeZone, event.isAllDay),
+    `SUMMARY:${escapeIcsText(event.subject || "")}`
+  ];
+
+  if (event.originalStart) {
+    lines.push(formatIcsTimeProperty("RECURRENCE-ID", parseGraphDateTime(event.originalStart), timeZone, event.isAllDay));
+  }
+  if (event.recurrence) {
+    const rule = createRecurrenceRule(event.recurrence, timeZone, event.isAllDay);
+    if (rule) {
+      lines.push(rule);
+    }
+  }
+  // Cancelled occurrences are listed as "OID.<series id>.<yyyy-MM-dd>"; they start at the series' time of day
+  (event.cancelledOccurrences || []).forEach((occurrence) => {
+    const match = /(\d{4})-(\d\d)-(\d\d)$/.exec(occurrence);
+    if (match) {
+      const p = timeZone ? getZonedParts(start, timeZone) : { hour: start.getUTCHours(), minute: start.getUTCMinutes(), second: 0 };
+      const date = timeZone
+        ? getZonedInstant(Number(match[1]), Number(match[2]), Number(match[3]), p.hour, p.minute, p.second, timeZone)
+        : new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), p.hour, p.minute, p.second));
+      lines.push(formatIcsTimeProperty("EXDATE", date, timeZone, event.isAllDay));
+    }
+  });
+
+  const location = (event.locations || []).map(place => place.displayName).filter(Boolean).join("; ") || event.location?.displayName;
+  if (location) {
+    lines.push(`LOCATION:${escapeIcsText(location)}`);
+  }
+  if (event.body?.content) {
+    lines.push(`DESCRIPTION:${escapeIcsText(event.body.contentType === "html" ? convertHtmlToText(event.body.content, false) : event.body.content.trim())}`);
+  }
+  if (event.onlineMeeting?.joinUrl) {
+    lines.push(`URL:${event.onlineMeeting.joinUrl}`);
+  }
+  if (event.organizer?.emailAddress?.address) {
+    lines.push(formatIcsAddress("ORGANIZER", event.organizer.emailAddress, []));
+  }
+
+  // A reply names only the attendee who answered
+  const attendees = options.reply
+    ? [{ type: "required", emailAddress: options.reply.emailAddress, status: null }]
+    : event.attendees || [];
+  attendees.filter(attendee => attendee.emailAddress?.address).forEach((attendee) => {
+    const params = attendee.type === "resource"
+      ? ["CUTYPE=RESOURCE", "ROLE=NON-PARTICIPANT"]
+      : [`ROLE=${attendee.type === "optional" ? "OPT-PARTICIPANT" : "REQ-PARTICIPANT"}`];
+    params.push(`PARTSTAT=${options.reply ? options.reply.partstat : ICS_PARTSTATS[attendee.status?.response] || "NEEDS-ACTION"}`);
+    lines.push(formatIcsAddress("ATTENDEE", attendee.emailAddress, params));
+  });
+
+  if (event.categories?.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeIcsText).join(",")}`);
+  }
+  lines.push(`CLASS:${ICS_CLASSES[event.sensitivity] || "PUBLIC"}`);
+  lines.push(`PRIORITY:${ICS_PRIORITIES[event.importance] || 5}`);
+  lines.push(`TRANSP:${event.showAs === "free" ? "TRANSPARENT" : "OPAQUE"}`);
+  lines.push(`STATUS:${event.isCancelled || method === "CANCEL" ? "CANCELLED" : "CONFIRMED"}`);
+  if (event.showAs) {
+    lines.push(`X-MICROSOFT-CDO-BUSYSTATUS:${event.showAs.toUpperCase()}`);
+  }
+  if (event.createdDateTime) {
+    lines.push(`CREATED:${formatIcsDateTime(parseGraphDateTime(event.createdDateTime), null)}`);
+  }
+  if (event.lastModifiedDateTime) {
+    lines.push(`LAST-MODIFIED:${formatIcsDateTime(parseGraphDateTime(event.lastModifiedDateTime), null)}`);
+  }
+  if (event.isReminderOn && method !== "CANCEL" && method !== "REPLY") {
+    lines.push("BEGIN:VALARM", "ACTION:DISPLAY", "DESCRIPTION:Reminder", `TRIGGER:-PT${event.reminderMinutesBeforeStart || 0}M`, "END:VALARM");
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/* Names Graph uses for UTC itself, which need no time zone rules */
+const UTC_TIME_ZONE_NAMES = ["UTC", "Etc/UTC", "Etc/GMT", "tzone://Microsoft/Utc"];
+
+/* Build an iCalendar object for an event, its modified occurrences (event.exceptionOccurrences)
+   and the time zone they use. method is PUBLISH for exports, or the meeting message's method.
+   A time zone that cannot be resolved is written as UTC, with a note in warnings. */
+function createCalendarText(event, method, reply, warnings) {
+  const timeZone = resolveEventTimeZone(event.originalStartTimeZone);
+  if (!timeZone && event.originalStartTimeZone && !UTC_TIME_ZONE_NAMES.includes(event.originalStartTimeZone)) {
+    warnings.push(`The time zone "${event.originalStartTimeZone}" is not known, so times are written in UTC` +
+      (event.recurrence ? "; occurrences may be an hour off after daylight saving changes" : ""));
+  }
+  const start = parseGraphDateTime(event.start);
+  const options = { timeZone: timeZone, method: method, reply: reply || null };
+
+  const lines = ["BEGIN:VCALENDAR", "PRODID:-//SED//SED Email Downloader//EN", "VERSION:2.0", `METHOD:${method}`];
+  // Rules from the year before the start, so the onsets precede the first occurrence
+  if (timeZone && !event.isAllDay) {
+    lines.push(...createVTimeZone(timeZone, start.getUTCFullYear() - 1));
+  }
+  lines.push(...createEventLines(event, options));
+  (event.exceptionOccurrences || []).forEach((exception) => {
+    lines.push(...createEventLines({ ...exception, iCalUId: event.iCalUId, recurrence: null, cancelledOccurrences: null }, options));
+  });
+  lines.push("END:VCALENDAR");
+
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+/* Read an event with its modified occurrences and cancelled dates. Those two are newer additions
+   to Graph, so when they are not accepted the event is read without them and a warning is added. */
+async function fetchCalendarEvent(session, eventId, warnings) {
+  const url = `${getMailboxUrl(session)}/events/${encodeURIComponent(eventId)}?$select=${CALENDAR_EVENT_SELECT}`;
+  const options = {
+    headers: {
+      "Accept": "application/json",
+      "Prefer": CALENDAR_PREFER_HEADER
+    }
+  };
+
+  try {
+    const response = await graphFetch(session, `${url},cancelledOccurrences&$expand=exceptionOccurrences`, options);
+    return response.json();
+  } catch (error) {
+    if (error.code !== "UNKNOWN") {
+      throw error;
+    }
+    warnings.push("Changed and cancelled occurrences of the series could not be read; the .ics has the series pattern only");
+    const response = await graphFetch(session, url, options);
+    return response.json();
+  }
+}
+
+/* Read the meeting message type and the event a meeting message refers to */
+async function fetchMeetingMessageEvent(session, graphItemId) {
+  const response = await graphFetch(session, `${getMailboxUrl(session)}/messages/${encodeURIComponent(graphItemId)}?$expand=microsoft.graph.eventMessage/event`, {
+    headers: {
+      "Accept": "application/json",
+      "Prefer": CALENDAR_PREFER_HEADER
+    }
+  });
+  return response.json();
+}
+
+/* Rebuild the text/calendar part of a meeting message for the JSON method, which otherwise
+   loses it. Returns { method, text }, or null with a warning when the event cannot be read. */
+async function fetchMeetingCalendarPart(session, graphItemId, message, warnings) {
+  try {
+    const meetingMessage = await fetchMeetingMessageEvent(session, graphItemId);
+    const meeting = MEETING_METHODS[meetingMessage.meetingMessageType];
+    if (!meeting || !meetingMessage.event) {
+      return null;
+    }
+    const reply = meeting.partstat ? { emailAddress: message.from?.emailAddress || {}, partstat: meeting.partstat } : null;
+    return { method: meeting.method, text: createCalendarText(meetingMessage.event, meeting.method, reply, warnings) };
+  } catch (error) {
+    if (error.code === "CANCELLED") {
+      throw error;
+    }
+    warnings.push(`The meeting's calendar part could not be rebuilt: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,215 @@
+/* Compound File Binary (MS-CFB) writer: the OLE container that .msg files are stored in.
+   Version 3 files with 512-byte sectors; streams under 4 KB go into the 64-byte mini stream. */
+
+const CFB_SECTOR_SIZE = 512;
+const CFB_MINI_SECTOR_SIZE = 64;
+const CFB_MINI_STREAM_CUTOFF = 4096;
+
+/* FAT entries per sector, and FAT sector numbers held in the header and in each DIFAT sector */
+const CFB_FAT_ENTRIES = CFB_SECTOR_SIZE / 4;
+const CFB_HEADER_DIFAT_ENTRIES = 109;
+const CFB_DIFAT_ENTRIES = CFB_FAT_ENTRIES - 1;
+
+/* Special sector numbers */
+const CFB_DIFSECT = 0xFFFFFFFC;
+const CFB_FATSECT = 0xFFFFFFFD;
+const CFB_ENDOFCHAIN = 0xFFFFFFFE;
+const CFB_FREESECT = 0xFFFFFFFF;
+const CFB_NOSTREAM = 0xFFFFFFFF;
+
+const CFB_OBJECT_TYPES = { storage: 1, stream: 2, root: 5 };
+
+/* Directory siblings are kept in a tree ordered by name length, then by upper-cased name */
+function compareCfbNames(a, b) {
+  if (a.length !== b.length) {
+    return a.length - b.length;
+  }
+  const upperA = a.toUpperCase();
+  const upperB = b.toUpperCase();
+  return upperA < upperB ? -1 : upperA > upperB ? 1 : 0;
+}
+
+/* Flatten a tree of { name, children } storages and { name, data } streams into directory entries,
+   linking the children of each storage as a balanced binary tree. Every node is black, which
+   readers accept as long as the ordering holds. */
+function flattenCfbTree(root) {
+  const entries = [];
+
+  const addEntry = (node, type) => {
+    const entry = { name: node.name, type: type, data: node.data || null, clsid: node.clsid, left: CFB_NOSTREAM, right: CFB_NOSTREAM, child: CFB_NOSTREAM };
+    entries.push(entry);
+    const index = entries.length - 1;
+    if (node.children) {
+      entry.child = addSiblings([...node.children].sort((a, b) => compareCfbNames(a.name, b.name)));
+    }
+    return index;
+  };
+
+  const addSiblings = (sorted) => {
+    if (sorted.length === 0) {
+      return CFB_NOSTREAM;
+    }
+    const middle = Math.floor(sorted.length / 2);
+    const node = sorted[middle];
+    const index = addEntry(node, node.children ? CFB_OBJECT_TYPES.storage : CFB_OBJECT_TYPES.stream);
+    entries[index].left = addSiblings(sorted.slice(0, middle));
+    entries[index].right = addSiblings(sorted.slice(middle + 1));
+    return index;
+  };
+
+  addEntry(root, CFB_OBJECT_TYPES.root);
+  return entries;
+}
+
+/* Write a 128-byte directory entry */
+function writeCfbDirectoryEntry(view, offset, entry) {
+  if (!entry) {
+    view.setUint32(offset + 68, CFB_NOSTREAM, true);
+    view.setUint32(offset + 72, CFB_NOSTREAM, true);
+    view.setUint32(offset + 76, CFB_NOSTREAM, true);
+    return;
+  }
+
+  for (let i = 0; i < entry.name.length; i++) {
+    view.setUint16(offset + i * 2, entry.name.charCodeAt(i), true);
+  }
+  view.setUint16(offset + 64, (entry.name.length + 1) * 2, true);
+  view.setUint8(offset + 66, entry.type);
+  view.setUint8(offset + 67, 1);
+  view.setUint32(offset + 68, entry.left, true);
+  view.setUint32(offset + 72, entry.right, true);
+  view.setUint32(offset + 76, entry.child, true);
+  (entry.clsid || []).forEach((byte, i) => view.setUint8(offset + 80 + i, byte));
+  view.setUint32(offset + 116, entry.start, true);
+  view.setUint32(offset + 120, entry.size, true);
+}
+
+/* Create a compound file from a tree: the root is { name: "Root Entry", clsid, children }, storages
+   are { name, clsid?, children } and streams are { name, data: Uint8Array }. Names are at most 31 characters. */
+function createCompoundFileBlob(root, type) {
+  const entries = flattenCfbTree(root);
+  const streams = entries.filter(entry => entry.type === CFB_OBJECT_TYPES.stream);
+
+  // Small streams are packed into the mini stream, which is itself stored as the root's data
+  const miniChunks = [];
+  const miniFat = [];
+  const largeStreams = [];
+  streams.forEach((entry) => {
+    entry.size = entry.data.length;
+    if (entry.size === 0) {
+      entry.start = CFB_ENDOFCHAIN;
+    } else if (entry.size < CFB_MINI_STREAM_CUTOFF) {
+      const count = Math.ceil(entry.size / CFB_MINI_SECTOR_SIZE);
+      entry.start = miniFat.length;
+      for (let i = 0; i < count; i++) {
+        miniFat.push(i === count - 1 ? CFB_ENDOFCHAIN : entry.start + i + 1);
+      }
+      miniChunks.push(entry.data, new Uint8Array(count * CFB_MINI_SECTOR_SIZE - entry.size));
+    } else {
+      largeStreams.push(entry);
+    }
+  });
+  entries.filter(entry => entry.type === CFB_OBJECT_TYPES.storage).forEach((entry) => {
+    entry.start = 0;
+    entry.size = 0;
+  });
+
+  const miniStreamSize = miniFat.length * CFB_MINI_SECTOR_SIZE;
+  const sectorCount = (size) => Math.ceil(size / CFB_SECTOR_SIZE);
+
+  // Lay out the sectors: large streams, the mini stream, the mini FAT, the directory, then the FAT and DIFAT
+  const chains = [];
+  let next = 0;
+  const allocate = (size) => {
+    const count = sectorCount(size);
+    const start = count > 0 ? next : CFB_ENDOFCHAIN;
+    chains.push({ start: next, count: count });
+    next += count;
+    return start;
+  };
+
+  largeStreams.forEach((entry) => {
+    entry.start = allocate(entry.size);
+  });
+  entries[0].start = allocate(miniStreamSize);
+  entries[0].size = miniStreamSize;
+  const miniFatStart = allocate(miniFat.length * 4);
+  const directoryStart = allocate(entries.length * 128);
+
+  // The FAT has to cover its own sectors and the DIFAT sectors that list it
+  let fatSectors = 0;
+  let difatSectors = 0;
+  for (;;) {
+    const total = next + fatSectors + difatSectors;
+    const neededFat = Math.ceil(total / CFB_FAT_ENTRIES);
+    const neededDifat = Math.max(0, Math.ceil((neededFat - CFB_HEADER_DIFAT_ENTRIES) / CFB_DIFAT_ENTRIES));
+    if (neededFat === fatSectors && neededDifat === difatSectors) {
+      break;
+    }
+    fatSectors = neededFat;
+    difatSectors = neededDifat;
+  }
+  const fatStart = next;
+  const difatStart = fatStart + fatSectors;
+
+  const fat = new DataView(new ArrayBuffer(fatSectors * CFB_SECTOR_SIZE));
+  for (let i = 0; i < fatSectors * CFB_FAT_ENTRIES; i++) {
+    fat.setUint32(i * 4, CFB_FREESECT, true);
+  }
+  chains.forEach((chain) => {
+    for (let i = 0; i < chain.count; i++) {
+      fat.setUint32((chain.start + i) * 4, i === chain.count - 1 ? CFB_ENDOFCHAIN : chain.start + i + 1, true);
+    }
+  });
+  for (let i = 0; i < fatSectors; i++) {
+    fat.setUint32((fatStart + i) * 4, CFB_FATSECT, true);
+  }
+  for (let i = 0; i < difatSectors; i++) {
+    fat.setUint32((difatStart + i) * 4, CFB_DIFSECT, true);
+  }
+
+  const header = new DataView(new ArrayBuffer(CFB_SECTOR_SIZE));
+  [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1].forEach((byte, i) => header.setUint8(i, byte));
+  header.setUint16(24, 0x003E, true);
+  header.setUint16(26, 0x0003, true);
+  header.setUint16(28, 0xFFFE, true);
+  header.setUint16(30, 9, true);
+  header.setUint16(32, 6, true);
+  header.setUint32(44, fatSectors, true);
+  header.setUint32(48, directoryStart, true);
+  header.setUint32(56, CFB_MINI_STREAM_CUTOFF, true);
+  header.setUint32(60, miniFat.length > 0 ? miniFatStart : CFB_ENDOFCHAIN, true);
+  header.setUint32(64, sectorCount(miniFat.length * 4), true);
+  header.setUint32(68, difatSectors > 0 ? difatStart : CFB_ENDOFCHAIN, true);
+  header.setUint32(72, difatSectors, true);
+  for (let i = 0; i < CFB_HEADER_DIFAT_ENTRIES; i++) {
+    header.setUint32(76 + i * 4, i < fatSectors ? fatStart + i : CFB_FREESECT, true);
+  }
+
+  // Each DIFAT sector lists the next FAT sectors and ends with the next DIFAT sector
+  const difat = new DataView(new ArrayBuffer(difatSectors * CFB_SECTOR_SIZE));
+  for (let i = 0; i < difatSectors * CFB_DIFAT_ENTRIES; i++) {
+    const fatIndex = CFB_HEADER_DIFAT_ENTRIES + i;
+    difat.setUint32((i + Math.floor(i / CFB_DIFAT_ENTRIES)) * 4, fatIndex < fatSectors ? fatStart + fatIndex : CFB_FREESECT, true);
+  }
+  for (let i = 0; i < difatSectors; i++) {
+    difat.setUint32(((i + 1) * CFB_FAT_ENTRIES - 1) * 4, i === difatSectors - 1 ? CFB_ENDOFCHAIN : difatStart + i + 1, true);
+  }
+
+  const miniFatView = new DataView(new ArrayBuffer(sectorCount(miniFat.length * 4) * CFB_SECTOR_SIZE));
+  for (let i = 0; i < miniFatView.byteLength / 4; i++) {
+    miniFatView.setUint32(i * 4, i < miniFat.length ? miniFat[i] : CFB_FREESECT, true);
+  }
+
+  const directory = new DataView(new ArrayBuffer(sectorCount(entries.length * 128) * CFB_SECTOR_SIZE));
+  for (let i = 0; i < directory.byteLength / 128; i++) {
+    writeCfbDirectoryEntry(directory, i * 128, entries[i]);
+  }
+
+  const padding = (size) => new Uint8Array(sectorCount(size) * CFB_SECTOR_SIZE - size);
+  const parts = [header];
+  largeStreams.forEach(entry => parts.push(entry.data, padding(entry.size)));
+  parts.push(...miniChunks, padding(miniStreamSize), miniFatView, directory, fat, difat);
+
+  return new Blob(parts, { type: type || "application/octet-stream" });
+}
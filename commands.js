@@ -0,0 +1,141 @@
+/* Ribbon command that exports the open message in one click, without the task pane.
+   Progress and results are shown in the message's notification bar. */
+
+const NOTIFICATION_KEY = "sedEmailDownloader";
+
+/* Outlook rejects notification messages longer than 150 characters */
+const MAX_NOTIFICATION_LENGTH = 150;
+
+/* Page that offers downloaded exports for saving; a function file has no page of its own */
+const DOWNLOAD_DIALOG_URL = "https://alvar0murga.github.io/download-email-eml/download-dialog.html";
+
+/* Bytes per message to the download window, a multiple of 3 so each piece is whole base64 */
+const DIALOG_CHUNK_BYTES = 3 * 256 * 1024;
+
+/* Show a message in the notification bar of the current item */
+function notify(type, text) {
+  const message = text.length > MAX_NOTIFICATION_LENGTH ? `${text.substring(0, MAX_NOTIFICATION_LENGTH - 1)}…` : text;
+  const details = type === Office.MailboxEnums.ItemNotificationMessageType.InformationalMessage
+    ? { type: type, message: message, icon: "Icon.16x16", persistent: false }
+    : { type: type, message: message };
+
+  Office.context.mailbox.item.notificationMessages.replaceAsync(NOTIFICATION_KEY, details);
+}
+
+/* A status target for the shared download code that reports through the notification bar.
+   Byte-level progress arrives many times a second, so updates are throttled. */
+function createNotificationStatus() {
+  let lastUpdate = 0;
+  return {
+    set textContent(text) {
+      const now = Date.now();
+      if (now - lastUpdate >= 1000) {
+        lastUpdate = now;
+        notify(Office.MailboxEnums.ItemNotificationMessageType.ProgressIndicator, text);
+      }
+    }
+  };
+}
+
+/* Send the files to the download window, each in base64 pieces, then tell it they are all there */
+async function sendFilesToDialog(dialog, files) {
+  for (const file of files) {
+    const bytes = new Uint8Array(await file.blob.arrayBuffer());
+    let offset = 0;
+    do {
+      dialog.messageChild(JSON.stringify({
+        type: "chunk",
+        filename: file.filename,
+        contentType: file.blob.type,
+        data: btoa(bytesToBinary(bytes.subarray(offset, offset + DIALOG_CHUNK_BYTES))),
+        last: offset + DIALOG_CHUNK_BYTES >= bytes.length
+      }));
+      offset += DIALOG_CHUNK_BYTES;
+    } while (offset < bytes.length);
+  }
+  dialog.messageChild(JSON.stringify({ type: "done" }));
+}
+
+/* Open the download window, hand it the files once it is ready, and resolve when the user closes it */
+function showFilesInDialog(files) {
+  return new Promise((resolve, reject) => {
+    Office.context.ui.displayDialogAsync(DOWNLOAD_DIALOG_URL, { height: 40, width: 30, displayInIframe: false }, (result) => {
+      if (result.status !== Office.AsyncResultStatus.Succeeded) {
+        reject(new Error(`The download window could not open: ${result.error.message}`));
+        return;
+      }
+
+      const dialog = result.value;
+      dialog.addEventHandler(Office.EventType.DialogMessageReceived, (arg) => {
+        let message;
+        try {
+          message = JSON.parse(arg.message);
+        } catch (error) {
+          dialog.close();
+          reject(new Error("The download window sent an unreadable message"));
+          return;
+        }
+        if (message.type === "ready") {
+          sendFilesToDialog(dialog, files).catch((error) => {
+            dialog.close();
+            reject(error);
+          });
+        }
+      });
+      // 12006 means the user closed the window; anything else means it failed to load
+      dialog.addEventHandler(Office.EventType.DialogEventReceived, (arg) => {
+        if (arg.error === 12006) {
+          resolve();
+        } else {
+          reject(new Error(`The download window closed unexpectedly (${arg.error})`));
+        }
+      });
+    });
+  });
+}
+
+/* Export the open message with the task pane's settings (format, filename template, destination).
+   A function file has no page to start a download from, so downloaded files are handed to a
+   dialog window (which needs DialogApi 1.2 to receive them) where the user saves them. */
+async function exportCurrentEmail(event) {
+  const status = createNotificationStatus();
+
+  try {
+    const download = getSettings().destination !== "onedrive";
+    if (download && !Office.context.requirements.isSetSupported("DialogApi", "1.2")) {
+      throw new Error("This Outlook cannot open the download window. Use Download Email in the pane, or upload to OneDrive in Settings.");
+    }
+    notify(Office.MailboxEnums.ItemNotificationMessageType.ProgressIndicator, "SED Email Downloader - Authenticating...");
+
+    const item = Office.context.mailbox.item;
+    const auth = await getTokenForDownload();
+    const result = await downloadEmailWithRetry(auth.accessToken, item.itemId, status);
+    const files = [];
+    const saved = await saveDownloadedEmail(result, item, status, null, (blob, filename) => files.push({ blob, filename }));
+
+    try {
+      await recordExport(result, saved);
+    } catch (error) {
+      // The history is a convenience; a failure to record it does not fail the export
+    }
+
+    const destination = download ? `${saved.filename} is ready to save in the download window` : `uploaded as ${saved.uploadedItems[0].name}`;
+    const rebuilt = result.method === "json" ? " (rebuilt from message data, not the original MIME)" : "";
+    const redacted = saved.redaction ? " with a redacted copy" : "";
+    notify(Office.MailboxEnums.ItemNotificationMessageType.InformationalMessage, `SED Email Downloader - ${destination}${redacted}${rebuilt}`);
+    if (download) {
+      await showFilesInDialog(files);
+    }
+  } catch (error) {
+    notify(Office.MailboxEnums.ItemNotificationMessageType.ErrorMessage, `SED Email Downloader - ${error.explanation || error.message}`);
+  }
+
+  event.completed();
+}
+
+Office.onReady(() => {
+  // Classic Outlook looks up the FunctionName globally; newer clients use the associated action
+  if (Office.actions) {
+    Office.actions.associate("exportCurrentEmail", exportCurrentEmail);
+  }
+});
@@ -0,0 +1,73 @@
+/* Chain-of-custody records: SHA-256 hashes and export details for forensic use */
+
+const CUSTODY_TOOL = "SED Email Downloader";
+
+/* Describe who is exporting: the Outlook profile and the account signed in to Graph */
+function getExportingUser() {
+  const profile = Office.context.mailbox.userProfile || {};
+  const account = getSelectedAccount();
+  return {
+    displayName: profile.displayName || null,
+    emailAddress: profile.emailAddress || null,
+    signedInAccount: account ? account.username : null
+  };
+}
+
+/* Describe the Outlook client that produced the export */
+function getClientInfo() {
+  const diagnostics = Office.context.diagnostics || {};
+  return {
+    host: diagnostics.hostName || null,
+    version: diagnostics.hostVersion || null,
+    platform: diagnostics.platform || null
+  };
+}
+
+/* Build the custody record for one download result. The hash covers the file as saved, fileBlob;
+   when that is a rendering (PDF, HTML...) rather than the MIME exactly as downloaded, the MIME's
+   hash is recorded as the source message. */
+async function createCustodyRecord(result, itemId, filename, fileBlob = result.blob) {
+  const headers = await readMimeHeaders(result.blob);
+
+  return {
+    filename: filename,
+    outlookItemId: itemId,
+    graphMessageId: result.graphItemId,
+    internetMessageId: getHeaderValue(headers, "Message-ID") || null,
+    subject: getHeaderValue(headers, "Subject") || null,
+    mailbox: result.mailbox || null,
+    exportedAt: new Date().toISOString(),
+    exportedBy: getExportingUser(),
+    method: { id: result.method, label: result.methodLabel },
+    protection: result.protection ? result.protection.kind : null,
+    sizeBytes: fileBlob.size,
+    hashAlgorithm: "SHA-256",
+    sha256: await sha256Hex(fileBlob),
+    sourceMessage: fileBlob === result.blob ? null : { sizeBytes: result.blob.size, sha256: await sha256Hex(result.blob) }
+  };
+}
+
+/* Serialize a custody record as a JSON sidecar file */
+function createCustodySidecar(record) {
+  return new Blob([JSON.stringify({ tool: CUSTODY_TOOL, client: getClientInfo(), ...record }, null, 2)], { type: "application/json" });
+}
+
+/* Name of the sidecar that accompanies an exported file */
+function getSidecarFilename(filename) {
+  return `${filename}.custody.json`;
+}
+
+/* Build the manifest listing every item of a batch export and its hash */
+function createCustodyManifest(records, failures) {
+  const manifest = {
+    tool: CUSTODY_TOOL,
+    client: getClientInfo(),
+    createdAt: new Date().toISOString(),
+    exportedBy: getExportingUser(),
+    itemCount: records.length,
+    failedCount: failures.length,
+    items: records,
+    failed: failures
+  };
+  return new Blob([JSON.stringify(manifest, null, 2)], { type: "application/json" });
+}
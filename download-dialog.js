@@ -0,0 +1,42 @@
+/* Download window opened by the Quick Export command. The function file sends the exported files
+   in base64 pieces through messageChild; this page turns them into downloads. */
+
+let receivedParts = [];
+
+/* Add a link for a received file and start its download */
+function offerFile(blob, filename) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.textContent = `💾 ${filename}`;
+  document.getElementById("files").appendChild(link);
+  // The link stays for when the browser blocks the automatic download
+  link.click();
+}
+
+/* Handle one message from the function file */
+function onParentMessage(arg) {
+  const status = document.getElementById("status");
+
+  try {
+    const message = JSON.parse(arg.message);
+    if (message.type === "chunk") {
+      receivedParts.push(binaryToBytes(atob(message.data)));
+      if (message.last) {
+        offerFile(new Blob(receivedParts, { type: message.contentType || "application/octet-stream" }), message.filename);
+        receivedParts = [];
+      }
+    } else if (message.type === "done") {
+      status.textContent = "✅ SED Email Downloader - Your export is ready. If a download did not start, click its link, then close this window.";
+    }
+  } catch (error) {
+    status.textContent = `❌ SED Email Downloader - The export could not be received: ${error.message}`;
+  }
+}
+
+Office.onReady(() => {
+  // Tell the function file to start sending once the handler is in place
+  Office.context.ui.addHandlerAsync(Office.EventType.DialogParentMessageReceived, onParentMessage, () => {
+    Office.context.ui.messageParent(JSON.stringify({ type: "ready" }));
+  });
+});
@@ -0,0 +1,691 @@
+/* Downloading a message: the fallback methods, output formats and destinations shared by
+   the task pane and the ribbon command. Status updates go to statusDiv.textContent, so any
+   object with that property works, not only the pane's status element. */
+
+/* Format a byte count for display */
+function formatFileSize(bytes) {
+  if (!bytes && bytes !== 0) {
+    return "";
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/* Get a Graph token for downloading; on failure return the error so EWS can still be tried */
+async function getTokenForDownload() {
+  try {
+    await initializeMsal();
+    return { accessToken: await getToken(), error: null };
+  } catch (error) {
+    return { accessToken: null, error: error };
+  }
+}
+
+/* Show how much of a message has been downloaded */
+function showDownloadProgress(statusDiv) {
+  return (received, total) => {
+    // Content-Length counts compressed bytes when the response is gzipped, so cap the percentage
+    statusDiv.textContent = total
+      ? `⬇️ Downloading... ${Math.min(100, Math.round(received / total * 100))}% (${formatFileSize(received)} of ${formatFileSize(total)})`
+      : `⬇️ Downloading... ${formatFileSize(received)} received`;
+  };
+}
+
+/* Method 1: Download the MIME content directly */
+async function downloadDirectMime(session, itemId, statusDiv) {
+  const graphItemId = encodeURIComponent(itemId);
+  const response = await graphFetch(session, `${getMailboxUrl(session)}/messages/${graphItemId}/$value`, {
+    headers: {
+      "Accept": "message/rfc822"
+    }
+  });
+
+  return { blob: await readResponseWithProgress(response, showDownloadProgress(statusDiv)), warnings: [] };
+}
+
+/* Method 2: Get the message details first, then its MIME content */
+async function downloadMetadataMime(session, itemId, statusDiv) {
+  const graphItemId = encodeURIComponent(itemId);
+  const metadataResponse = await graphFetch(session, `${getMailboxUrl(session)}/messages/${graphItemId}?$select=id`, {
+    headers: {
+      "Accept": "application/json"
+    }
+  });
+
+  const metadata = await metadataResponse.json();
+  const mimeResponse = await graphFetch(session, `${getMailboxUrl(session)}/messages/${encodeURIComponent(metadata.id)}/$value`, {
+    headers: {
+      "Accept": "message/rfc822"
+    }
+  });
+
+  return { blob: await readResponseWithProgress(mimeResponse, showDownloadProgress(statusDiv)), warnings: [] };
+}
+
+/* Escape a value for use in an XML attribute */
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[char]);
+}
+
+/* Build an EWS GetItem request that returns the item's MIME content */
+function createEwsGetItemMimeRequest(ewsItemId) {
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"' +
+    ' xmlns:m="http://schemas.microsoft.com/exchange/services/2006/messages"' +
+    ' xmlns:t="http://schemas.microsoft.com/exchange/services/2006/types">' +
+    '<soap:Header><t:RequestServerVersion Version="Exchange2013"/></soap:Header>' +
+    '<soap:Body><m:GetItem>' +
+    '<m:ItemShape><t:BaseShape>IdOnly</t:BaseShape><t:IncludeMimeContent>true</t:IncludeMimeContent></m:ItemShape>' +
+    `<m:ItemIds><t:ItemId Id="${escapeXml(ewsItemId)}"/></m:ItemIds>` +
+    '</m:GetItem></soap:Body></soap:Envelope>';
+}
+
+/* Send an EWS request through Outlook. Office refuses it unless the add-in has ReadWriteMailbox,
+   which this manifest does not request, so it only helps where an administrator granted more. */
+function makeEwsRequest(request) {
+  return new Promise((resolve, reject) => {
+    Office.context.mailbox.makeEwsRequestAsync(request, (result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve(result.value);
+      } else {
+        reject(new Error(result.error.message));
+      }
+    });
+  });
+}
+
+/* EWS response codes mapped to typed download errors */
+const EWS_ERROR_CODES = {
+  ErrorInvalidIdMalformed: "INVALID_ID",
+  ErrorInvalidIdNotAnItemAttachmentId: "INVALID_ID",
+  ErrorItemNotFound: "NOT_FOUND",
+  ErrorAccessDenied: "FORBIDDEN",
+  ErrorServerBusy: "THROTTLED"
+};
+
+/* Extract the base64 MIME content from an EWS GetItem response */
+function parseEwsMimeResponse(responseXml) {
+  const doc = new DOMParser().parseFromString(responseXml, "text/xml");
+  const responseMessage = doc.getElementsByTagNameNS("*", "GetItemResponseMessage")[0];
+
+  if (!responseMessage || responseMessage.getAttribute("ResponseClass") !== "Success") {
+    const messageText = doc.getElementsByTagNameNS("*", "MessageText")[0];
+    const responseCode = doc.getElementsByTagNameNS("*", "ResponseCode")[0];
+    const code = responseCode ? responseCode.textContent : "";
+    const details = [code, messageText ? messageText.textContent : "Unexpected EWS response"].filter(Boolean).join(" ");
+    throw createDownloadError(EWS_ERROR_CODES[code] || "UNKNOWN", details);
+  }
+
+  const mimeContent = doc.getElementsByTagNameNS("*", "MimeContent")[0];
+  if (!mimeContent || !mimeContent.textContent) {
+    throw new Error("EWS response did not include MIME content");
+  }
+
+  return mimeContent.textContent;
+}
+
+/* Get a REST callback token for the current mailbox (Mailbox 1.5; works with ReadItem permission) */
+function getRestCallbackToken() {
+  return new Promise((resolve, reject) => {
+    Office.context.mailbox.getCallbackTokenAsync({ isRest: true }, (result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve(result.value);
+      } else {
+        reject(new Error(result.error.message));
+      }
+    });
+  });
+}
+
+/* Download the MIME content from the Outlook REST endpoint with the callback token. Unlike EWS,
+   that endpoint accepts cross-origin requests, so the task pane can call it directly. */
+async function downloadRestCallbackMime(session, itemId, statusDiv) {
+  const restUrl = Office.context.mailbox.restUrl;
+  if (!restUrl || !Office.context.requirements.isSetSupported("Mailbox", "1.5")) {
+    throw new Error("Outlook REST is not available in this Outlook client");
+  }
+
+  // EWS-format ids (from the open item) must be converted; REST ids pass through unchanged
+  const restItemId = Office.context.mailbox.convertToRestId
+    ? Office.context.mailbox.convertToRestId(itemId, Office.MailboxEnums.RestVersion.v2_0)
+    : itemId;
+  const callbackToken = await getRestCallbackToken();
+  const response = await graphFetch(session, `${restUrl}/v2.0/me/messages/${encodeURIComponent(restItemId)}/$value`, {
+    preAuthenticated: true,
+    headers: {
+      "Authorization": `Bearer ${callbackToken}`,
+      "Accept": "message/rfc822"
+    }
+  });
+
+  return readResponseWithProgress(response, showDownloadProgress(statusDiv));
+}
+
+/* Method 3: Download the MIME content with Outlook's own credentials instead of a Graph token,
+   for tenants that block the add-in's app registration. The REST callback token works with the
+   manifest's ReadWriteItem permission; EWS through makeEwsRequestAsync is tried after it. */
+async function downloadEwsMime(session, itemId, statusDiv) {
+  let restError;
+  try {
+    return { blob: await downloadRestCallbackMime(session, itemId, statusDiv), warnings: [] };
+  } catch (error) {
+    if (error.code === "CANCELLED") {
+      throw error;
+    }
+    restError = error;
+  }
+
+  // REST-format ids (from Graph listings) must be converted; EWS ids pass through unchanged
+  const ewsItemId = Office.context.mailbox.convertToEwsId
+    ? Office.context.mailbox.convertToEwsId(itemId, Office.MailboxEnums.RestVersion.v2_0)
+    : itemId;
+  let responseXml;
+
+  try {
+    responseXml = await makeEwsRequest(createEwsGetItemMimeRequest(ewsItemId));
+  } catch (error) {
+    throw createDownloadError("EWS_UNAVAILABLE", `callback token: ${restError.message}; makeEwsRequestAsync: ${error.message}`);
+  }
+
+  const mimeBase64 = parseEwsMimeResponse(responseXml);
+  return { blob: new Blob([binaryToBytes(atob(mimeBase64))], { type: 'message/rfc822' }), warnings: [] };
+}
+
+/* Extended property holding the Exchange message class (PidTagMessageClass) */
+const MESSAGE_CLASS_PROPERTY = "String 0x001A";
+
+/* Method 4: Rebuild the EML from JSON data and attachments. Signed, encrypted and IRM messages
+   are refused: their JSON body is empty or a placeholder, and a rebuilt copy would pass for them. */
+async function downloadJsonEml(session, itemId, statusDiv) {
+  const graphItemId = encodeURIComponent(itemId);
+  const fullResponse = await graphFetch(session, `${getMailboxUrl(session)}/messages/${graphItemId}?$select=subject,body,uniqueBody,from,sender,replyTo,toRecipients,ccRecipients,receivedDateTime,sentDateTime,internetMessageId,internetMessageHeaders` +
+    `&$expand=singleValueExtendedProperties($filter=id eq '${MESSAGE_CLASS_PROPERTY}')`, {
+    headers: {
+      "Accept": "application/json"
+    }
+  });
+
+  const message = await fullResponse.json();
+  const messageClass = message.singleValueExtendedProperties?.[0]?.value;
+  const protection = detectMessageClassProtection(messageClass, (message.internetMessageHeaders || []).map(h => [h.name, h.value]));
+  if (protection) {
+    throw createDownloadError("PROTECTED", protection.label);
+  }
+
+  const warnings = [];
+
+  statusDiv.textContent = "⬇️ JSON to EML conversion: Fetching attachments...";
+  const attachments = await fetchMessageAttachments(session, graphItemId, warnings);
+  const textBody = await fetchTextBody(session, graphItemId, message, warnings);
+  // Meeting messages carry their invitation as a text/calendar part, which JSON does not return
+  const calendar = /^IPM\.Schedule\.Meeting\./i.test(messageClass || "")
+    ? await fetchMeetingCalendarPart(session, itemId, message, warnings)
+    : null;
+
+  const emlContent = createEmlFromJson(message, attachments, textBody, calendar);
+  return { blob: new Blob([binaryToBytes(emlContent)], { type: 'message/rfc822' }), warnings: warnings };
+}
+
+/* Download methods in the order downloadEmailWithRetry tries them */
+const DOWNLOAD_METHODS = [
+  { id: "direct", label: "Direct MIME download", needsGraph: true, run: downloadDirectMime },
+  { id: "metadata", label: "Metadata + MIME", needsGraph: true, run: downloadMetadataMime },
+  { id: "ews", label: "Outlook callback token MIME download", needsGraph: false, run: downloadEwsMime },
+  { id: "json", label: "JSON to EML conversion", needsGraph: true, run: downloadJsonEml }
+];
+
+/* Sort the download methods by the user's preferred order; methods not listed keep their default place at the end */
+function getOrderedDownloadMethods(order) {
+  const preferred = (order || [])
+    .map(id => DOWNLOAD_METHODS.find(method => method.id === id))
+    .filter(Boolean);
+  return preferred.concat(DOWNLOAD_METHODS.filter(method => !preferred.includes(method)));
+}
+
+/* Try multiple approaches to download email with detailed error reporting.
+   Transient failures are retried inside graphFetch; here a method failing with an
+   error that rules out Graph for this item skips straight to the non-Graph fallback.
+   accessToken may be null when Graph sign-in is blocked; only EWS is tried then.
+   Aborting signal stops the export instead of moving on to the next method.
+   Items in shared or delegated mailboxes are read from the owner's mailbox. Graph cannot reach
+   online archives; it answers NOT_FOUND there, which skips straight to EWS.
+   Signed, encrypted and IRM messages are reported in result.protection; the JSON method refuses them. */
+async function downloadEmailWithRetry(accessToken, itemId, statusDiv, signal) {
+  const methods = getOrderedDownloadMethods(getSettings().methodOrder);
+  const session = createGraphSession(accessToken, (ms, reason) => {
+    statusDiv.textContent = `⏳ ${reason} - retrying in ${Math.ceil(ms / 1000)}s...`;
+  });
+  session.signal = signal || null;
+
+  const mailboxContext = await getMailboxContext();
+  session.mailboxPath = mailboxContext.path;
+
+  let graphItemId = itemId;
+  if (session.accessToken) {
+    try {
+      graphItemId = await resolveGraphMessageId(session, itemId);
+    } catch (error) {
+      // Without a Graph id the Graph methods fail on their own and EWS still gets its turn
+    }
+  }
+  let errorDetails = [];
+  let graphBlockedBy = null;
+
+  for (let i = 0; i < methods.length; i++) {
+    const method = methods[i];
+
+    if (method.needsGraph && !session.accessToken) {
+      errorDetails.push(`Method ${i + 1} (${method.label}) skipped: no Microsoft Graph token`);
+      continue;
+    }
+
+    if (method.needsGraph && graphBlockedBy) {
+      errorDetails.push(`Method ${i + 1} (${method.label}) skipped: Graph already reported ${graphBlockedBy}`);
+      continue;
+    }
+
+    if (signal?.aborted) {
+      throw createDownloadError("CANCELLED");
+    }
+
+    try {
+      statusDiv.textContent = `⬇️ Method ${i + 1}: ${method.label}...`;
+      // EWS needs the Outlook id; it converts Graph ids from listings itself
+      const result = await method.run(session, method.needsGraph ? graphItemId : itemId, statusDiv);
+      return {
+        blob: result.blob,
+        method: method.id,
+        methodLabel: method.label,
+        warnings: result.warnings,
+        graphItemId: graphItemId,
+        mailbox: mailboxContext.address,
+        protection: detectMimeProtection(await readMimeHeaders(result.blob))
+      };
+    } catch (error) {
+      if (error.code === "CANCELLED") {
+        throw error;
+      }
+      errorDetails.push(`Method ${i + 1} (${method.label}) failed: ${error.message}`);
+      if (method.needsGraph && GRAPH_FATAL_ERRORS.includes(error.code)) {
+        graphBlockedBy = error.code;
+      }
+    }
+  }
+
+  // Show detailed error information
+  const detailedError = `All methods failed:\n${errorDetails.join('\n')}`;
+  throw new Error(detailedError);
+}
+
+/* Fetch the plain-text rendering of an HTML message for the text/plain alternative */
+async function fetchTextBody(session, graphItemId, message, warnings) {
+  if (message.body?.contentType !== "html") {
+    return null;
+  }
+
+  try {
+    const response = await graphFetch(session, `${getMailboxUrl(session)}/messages/${graphItemId}?$select=body`, {
+      headers: {
+        "Accept": "application/json",
+        "Prefer": 'outlook.body-content-type="text"'
+      }
+    });
+
+    const textMessage = await response.json();
+    return textMessage.body?.content || "";
+  } catch (error) {
+    warnings.push(`Plain-text alternative not included (${error.message})`);
+  }
+
+  return null;
+}
+
+/* Fetch the raw bytes of one attachment as a binary string */
+async function fetchAttachmentContent(session, graphItemId, attachmentId) {
+  const response = await graphFetch(session, `${getMailboxUrl(session)}/messages/${graphItemId}/attachments/${encodeURIComponent(attachmentId)}/$value`);
+  return bytesToBinary(new Uint8Array(await response.arrayBuffer()));
+}
+
+/* Fetch every attachment of a message, recording what could not be reproduced */
+async function fetchMessageAttachments(session, graphItemId, warnings) {
+  let list;
+  try {
+    list = await fetchAllGraphPages(session, `${getMailboxUrl(session)}/messages/${graphItemId}/attachments`);
+  } catch (error) {
+    warnings.push(`Attachments could not be listed and are missing (${error.message})`);
+    return [];
+  }
+
+  const attachments = [];
+
+  for (const attachment of list) {
+    const name = attachment.name || "attachment";
+    const type = attachment["@odata.type"];
+
+    try {
+      if (type === "#microsoft.graph.fileAttachment") {
+        attachments.push({
+          name: name,
+          contentType: attachment.contentType || "application/octet-stream",
+          isInline: !!attachment.isInline,
+          contentId: attachment.contentId,
+          // Large attachments may come back without contentBytes
+          base64: attachment.contentBytes || btoa(await fetchAttachmentContent(session, graphItemId, attachment.id))
+        });
+      } else if (type === "#microsoft.graph.itemAttachment") {
+        attachments.push({
+          name: /\.eml$/i.test(name) ? name : `${name}.eml`,
+          contentType: "message/rfc822",
+          isInline: false,
+          binary: await fetchAttachmentContent(session, graphItemId, attachment.id)
+        });
+      } else {
+        warnings.push(`"${name}" is a cloud link (${type || "unknown type"}) and was not included`);
+      }
+    } catch (error) {
+      warnings.push(`Attachment "${name}" could not be downloaded (${error.message})`);
+    }
+  }
+
+  return attachments;
+}
+
+/* Create the MIME part for one attachment */
+function createAttachmentPart(attachment) {
+  const disposition = attachment.isInline ? "inline" : "attachment";
+
+  if (attachment.binary !== undefined) {
+    // message/rfc822 parts may not be base64 encoded (RFC 2046 section 5.2.1)
+    return createMimePart([
+      ["Content-Type", "message/rfc822"],
+      ["Content-Transfer-Encoding", /[\x80-\xff]/.test(attachment.binary) ? "8bit" : "7bit"],
+      ["Content-Disposition", `${disposition}; ${formatMimeParameter("filename", attachment.name)}`]
+    ], attachment.binary);
+  }
+
+  const headers = [
+    ["Content-Type", `${attachment.contentType}; ${formatMimeParameter("name", attachment.name)}`],
+    ["Content-Transfer-Encoding", "base64"],
+    ["Content-Disposition", `${disposition}; ${formatMimeParameter("filename", attachment.name)}`]
+  ];
+  if (attachment.contentId) {
+    headers.push(["Content-ID", `<${attachment.contentId.replace(/^<|>$/g, '')}>`]);
+  }
+
+  return createMimePart(headers, wrapBase64(attachment.base64));
+}
+
+/* Format a list of Graph recipients as an RFC 5322 address list */
+function formatRecipients(recipients) {
+  return (recipients || [])
+    .filter(r => r.emailAddress?.address)
+    .map(r => formatMailbox(r.emailAddress.name, r.emailAddress.address))
+    .join(', ');
+}
+
+/* Create EML format from JSON message data, attachments, an optional text alternative and an
+   optional meeting calendar part ({ method, text }) */
+function createEmlFromJson(message, attachments = [], textBody = null, calendar = null) {
+  const originalHeaders = message.internetMessageHeaders || [];
+  const findHeaders = (name) => originalHeaders
+    .filter(h => h.name.toLowerCase() === name.toLowerCase())
+    .map(h => utf8ToBinary(h.value.replace(/\r?\n/g, "")));
+
+  const author = message.from?.emailAddress || message.sender?.emailAddress || {};
+  const sender = message.sender?.emailAddress;
+  const date = findHeaders("Date")[0] || formatMimeDate(new Date(message.sentDateTime || message.receivedDateTime));
+  const replyTo = formatRecipients(message.replyTo) || findHeaders("Reply-To")[0];
+  const to = formatRecipients(message.toRecipients);
+  const cc = formatRecipients(message.ccRecipients);
+  const subject = message.subject || "(No Subject)";
+  const messageId = message.internetMessageId || findHeaders("Message-ID")[0];
+  const sourceBody = message.body?.content ? message.body : (message.uniqueBody || message.body);
+  const isHtml = sourceBody?.contentType === "html";
+  const body = sourceBody?.content || "";
+
+  // Body: text, HTML and the calendar part, as multipart/alternative when there are several
+  const textContent = isHtml ? textBody : body;
+  const parts = [];
+  if (textContent !== null) {
+    parts.push(createMimePart([
+      ["Content-Type", "text/plain; charset=utf-8"],
+      ["Content-Transfer-Encoding", "quoted-printable"]
+    ], encodeQuotedPrintable(utf8ToBinary(textContent))));
+  }
+  if (isHtml) {
+    parts.push(createMimePart([
+      ["Content-Type", "text/html; charset=utf-8"],
+      ["Content-Transfer-Encoding", "quoted-printable"]
+    ], encodeQuotedPrintable(utf8ToBinary(body))));
+  }
+  if (calendar) {
+    parts.push(createMimePart([
+      ["Content-Type", `text/calendar; charset=utf-8; method=${calendar.method}`],
+      ["Content-Transfer-Encoding", "quoted-printable"]
+    ], encodeQuotedPrintable(utf8ToBinary(calendar.text))));
+  }
+  let content = parts.length > 1 ? createMultipart("alternative", parts) : parts[0];
+
+  // Inline images referenced by cid: go next to the body in multipart/related
+  const inlineAttachments = attachments.filter(a => a.isInline && a.contentId);
+  const otherAttachments = attachments.filter(a => !(a.isInline && a.contentId));
+  if (inlineAttachments.length > 0) {
+    const rootType = content.headers[0][1].split(';')[0];
+    content = createMultipart("related", [content, ...inlineAttachments.map(createAttachmentPart)]);
+    content.headers[0][1] += `; type="${rootType}"`;
+  }
+  if (otherAttachments.length > 0) {
+    content = createMultipart("mixed", [content, ...otherAttachments.map(createAttachmentPart)]);
+  }
+
+  // Trace headers come first, as they did in the original message.
+  // Bcc is deliberately never written.
+  const headers = [];
+  findHeaders("Return-Path").slice(0, 1).forEach(value => headers.push(["Return-Path", value]));
+  findHeaders("Received").forEach(value => headers.push(["Received", value]));
+  headers.push(["Date", date]);
+  headers.push(["From", author.address ? formatMailbox(author.name, author.address) : "unknown@unknown.com"]);
+  if (sender?.address && sender.address.toLowerCase() !== (author.address || "").toLowerCase()) {
+    headers.push(["Sender", formatMailbox(sender.name, sender.address)]);
+  }
+  if (replyTo) headers.push(["Reply-To", replyTo]);
+  if (to) headers.push(["To", to]);
+  if (cc) headers.push(["Cc", cc]);
+  headers.push(["Subject", encodeHeaderText(subject)]);
+  if (messageId) headers.push(["Message-ID", messageId]);
+  findHeaders("In-Reply-To").slice(0, 1).forEach(value => headers.push(["In-Reply-To", value]));
+  findHeaders("References").slice(0, 1).forEach(value => headers.push(["References", value]));
+  headers.push(["MIME-Version", "1.0"]);
+
+  return serializeMimePart({
+    headers: headers.concat(content.headers),
+    boundary: content.boundary,
+    parts: content.parts,
+    body: content.body
+  });
+}
+
+/* Describe what to know about a download: its protection, notes made while saving it, and
+   how it was produced when it is not the original MIME */
+function describeDownloadWarnings(result) {
+  const lines = [];
+  if (result.protection) {
+    lines.push(`🔒 ${result.protection.label}: saved byte-for-byte as downloaded.`);
+  }
+
+  if (result.method === "json") {
+    lines.push("⚠️ The original MIME could not be downloaded, so this file was rebuilt from message data (JSON fallback). It is not byte-identical to the original.");
+    if (result.warnings.length > 0) {
+      lines.push(`Not reproduced:\n- ${result.warnings.join('\n- ')}`);
+    }
+  } else if (result.warnings.length > 0) {
+    lines.push(...result.warnings.map(warning => `⚠️ ${warning}`));
+  }
+  return lines.join("\n");
+}
+
+/* Download using a different method to avoid search bar issue. When the browser blocks the
+   window and the page has no status area to offer a link in, the file cannot be delivered. */
+function triggerDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  
+  // Instead of using click(), use window.open which is less likely to trigger search
+  const newWindow = window.open(url, '_blank');
+  if (newWindow) {
+    setTimeout(() => {
+      newWindow.close();
+      URL.revokeObjectURL(url);
+    }, 1000);
+  } else {
+    // Fallback: create a link that user can click manually
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.textContent = 'Click here to download your email';
+    link.style.color = '#0078d4';
+    link.style.textDecoration = 'underline';
+    link.style.display = 'block';
+    link.style.marginTop = '10px';
+    
+    const statusDiv = document.getElementById("status");
+    if (!statusDiv) {
+      URL.revokeObjectURL(url);
+      throw new Error(`The browser blocked the download of ${filename}`);
+    }
+    statusDiv.appendChild(document.createElement('br'));
+    statusDiv.appendChild(link);
+    
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+    }, 300000);
+  }
+}
+
+/* Hand an exported file to the user: a browser download, or an upload to OneDrive or
+   SharePoint when that destination is chosen. Returns the uploaded drive item, or null.
+   Pages that cannot start a download themselves pass saveFile to take the file instead. */
+async function deliverExport(blob, filename, statusDiv, saveFile = triggerDownload) {
+  const settings = getSettings();
+  if (settings.destination !== "onedrive") {
+    saveFile(blob, filename);
+    return null;
+  }
+
+  await initializeMsal();
+  const session = createGraphSession(await getToken({ scopes: UPLOAD_SCOPES }), (ms, reason) => {
+    statusDiv.textContent = `⏳ ${reason} - retrying in ${Math.ceil(ms / 1000)}s...`;
+  }, UPLOAD_SCOPES);
+
+  return uploadExport(session, blob, filename, {
+    folder: settings.uploadFolder,
+    driveId: settings.uploadDriveId,
+    conflictBehavior: settings.uploadConflictBehavior
+  }, (sent, total) => {
+    statusDiv.textContent = `☁️ SED Email Downloader - Uploading ${filename}: ${Math.round(sent / total * 100)}%`;
+  });
+}
+
+/* Output formats for single-message exports. convert(blob, warnings) may add a note on what the
+   format cannot reproduce. */
+const EXPORT_FORMATS = {
+  eml: {
+    label: "EML message (.eml)",
+    extension: ".eml",
+    convert: async (blob) => blob
+  },
+  mbox: {
+    label: "Single-message mailbox (.mbox)",
+    extension: ".mbox",
+    convert: async (blob) => {
+      const headers = await readMimeHeaders(blob);
+      return createMboxBlob([{
+        sender: getAddressHeader(headers, "From")[0]?.address,
+        date: new Date(getHeaderValue(headers, "Date")),
+        data: blob
+      }]);
+    }
+  },
+  html: {
+    label: "Web page (.html)",
+    extension: ".html",
+    convert: async (blob) => createMessageHtml(await parseMessageBlob(blob))
+  },
+  pdf: {
+    label: "Printable PDF (.pdf)",
+    extension: ".pdf",
+    convert: async (blob, warnings) => createMessagePdf(await parseMessageBlob(blob), warnings)
+  },
+  markdown: {
+    label: "Markdown text (.md)",
+    extension: ".md",
+    convert: async (blob) => createMessageMarkdown(await parseMessageBlob(blob))
+  },
+  msg: {
+    label: "Outlook message (.msg)",
+    extension: ".msg",
+    convert: async (blob) => createMsgBlob(await parseMessageBlob(blob))
+  },
+  json: {
+    label: "Structured JSON (.json)",
+    extension: ".json",
+    convert: async (blob) => createMessageJson(await parseMessageBlob(blob))
+  }
+};
+
+/* Save a downloaded message to the chosen destination in the given format (an EXPORT_FORMATS
+   key, by default the one in the settings), followed by its redacted copy and its chain-of-custody
+   sidecar when those are turned on. Attachments picked in the preview (result.droppedAttachments)
+   are left out of the redacted copy. Signed, encrypted and IRM messages are always saved as the
+   unchanged .eml, without a redacted copy. saveFile replaces the browser download (see deliverExport). */
+async function saveDownloadedEmail(result, item, statusDiv, formatId, saveFile) {
+  const settings = getSettings();
+  const requested = EXPORT_FORMATS[formatId || settings.defaultFormat] || EXPORT_FORMATS.eml;
+  let format = requested;
+  if (result.protection && format !== EXPORT_FORMATS.eml) {
+    format = EXPORT_FORMATS.eml;
+    result.warnings.push(`Saved as .eml instead of ${requested.label} so the protected MIME stays unchanged`);
+  }
+  const filename = await makeExportFilename(settings.filenameTemplate, result.blob, {
+    subject: item.subject,
+    date: item.dateTimeCreated,
+    conversationId: item.conversationId
+  }, format.extension);
+  const outputBlob = await format.convert(result.blob, result.warnings);
+
+  statusDiv.textContent = "💾 SED Email Downloader - Starting download...";
+  const uploadedItems = [await deliverExport(outputBlob, filename, statusDiv, saveFile)];
+
+  let redacted = null;
+  if (settings.redactedCopy && result.protection) {
+    result.warnings.push("No redacted copy: rewriting a signed or encrypted message would break it");
+  } else if (settings.redactedCopy) {
+    statusDiv.textContent = "✂️ SED Email Downloader - Creating the redacted copy...";
+    redacted = await createRedactedBlob(result.blob, getRedactionProfile(settings, result.droppedAttachments), createPseudonymMap());
+    redacted.filename = getRedactedFilename(filename);
+    // Anything the format loses was already reported for the original
+    redacted.outputBlob = await format.convert(redacted.blob, []);
+    uploadedItems.push(await deliverExport(redacted.outputBlob, redacted.filename, statusDiv, saveFile));
+  }
+
+  let custodyRecord = null;
+  if (settings.custodySidecar) {
+    custodyRecord = await createCustodyRecord(result, item.itemId, filename, outputBlob);
+    if (redacted) {
+      custodyRecord.redactedCopy = { filename: redacted.filename, sha256: await sha256Hex(redacted.outputBlob) };
+    }
+    uploadedItems.push(await deliverExport(createCustodySidecar(custodyRecord), getSidecarFilename(filename), statusDiv, saveFile));
+  }
+
+  return {
+    filename: filename,
+    outputBlob: outputBlob,
+    uploadedItems: uploadedItems,
+    custodyRecord: custodyRecord,
+    redaction: redacted ? redacted.report : null
+  };
+}
@@ -0,0 +1,129 @@
+/* Filename templates for exported files.
+   Tokens: {date:yyyy-MM-dd}, {time}, {from}, {fromDomain}, {to}, {subject}, {conversationId}, {hash} */
+
+const DEFAULT_FILENAME_TEMPLATE = "{date:yyyy-MM-dd} {subject}";
+
+/* Longest filename produced, extension included; keeps full paths under Windows' 260 limit */
+const MAX_FILENAME_LENGTH = 120;
+
+/* Names Windows refuses for files, with or without an extension */
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/* Reply and forward prefixes in English, Spanish, German and other common clients */
+const SUBJECT_PREFIXES = /^\s*((re|fw|fwd|rv|res|enc|aw|wg|sv|vs|antw|tr)\s*(\[\d+\])?\s*:\s*)+/i;
+
+/* Remove reply/forward prefixes such as "RE:", "FW:", "AW:" from a subject */
+function stripSubjectPrefixes(subject) {
+  return (subject || "").replace(SUBJECT_PREFIXES, "").trim();
+}
+
+/* Format a date with a pattern of yyyy, yy, MM, dd, HH, mm and ss */
+function formatFilenameDate(date, pattern) {
+  const pad = (value) => String(value).padStart(2, "0");
+  const parts = {
+    yyyy: String(date.getFullYear()),
+    yy: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    dd: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return pattern.replace(/yyyy|yy|MM|dd|HH|mm|ss/g, (token) => parts[token]);
+}
+
+/* Replace characters that are illegal in filenames and collapse whitespace */
+function replaceIllegalFilenameCharacters(text) {
+  return String(text)
+    .replace(/[/\\?%*:|"<>\x00-\x1f\x7f]/g, "-")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/* Make a string safe as a filename on Windows, macOS and Linux */
+function sanitizeFilename(name, maxLength) {
+  let clean = replaceIllegalFilenameCharacters(name);
+
+  // Truncate on whole characters so surrogate pairs are never split
+  const characters = Array.from(clean);
+  if (characters.length > maxLength) {
+    clean = characters.slice(0, maxLength).join("");
+  }
+
+  // Windows strips trailing dots and spaces, which can collide with other names
+  clean = clean.replace(/[. ]+$/, "").replace(/^[. ]+/, "");
+
+  if (!clean) {
+    return "email";
+  }
+  return RESERVED_FILENAMES.test(clean) ? `_${clean}` : clean;
+}
+
+/* Expand a filename template with message details and add the extension */
+function buildFilename(template, info, extension) {
+  const date = info.date instanceof Date && !isNaN(info.date) ? info.date : new Date();
+  const fromAddress = info.from?.address || "";
+
+  const values = {
+    date: (format) => formatFilenameDate(date, format || "yyyy-MM-dd"),
+    time: (format) => formatFilenameDate(date, format || "HH-mm-ss"),
+    from: () => info.from?.name || fromAddress,
+    fromDomain: () => fromAddress.split("@")[1] || "",
+    to: () => info.to?.[0]?.name || info.to?.[0]?.address || "",
+    subject: () => stripSubjectPrefixes(info.subject) || "(No Subject)",
+    conversationId: () => info.conversationId || "",
+    hash: (format) => (info.hash || "").substring(0, parseInt(format, 10) || 8)
+  };
+
+  const expanded = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\{(\w+)(?::([^}]*))?\}/g, (match, token, format) => {
+    // Token values may not smuggle in path separators or other illegal characters
+    return values[token] ? replaceIllegalFilenameCharacters(values[token](format)) : match;
+  });
+
+  return sanitizeFilename(expanded, MAX_FILENAME_LENGTH - extension.length) + extension;
+}
+
+/* Compute the hex SHA-256 of a blob */
+async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/* Build the filename for a downloaded message from its MIME headers and Outlook details */
+async function makeExportFilename(template, blob, itemInfo, extension) {
+  const headers = await readMimeHeaders(blob);
+  const from = getAddressHeader(headers, "From")[0];
+  const dateHeader = getHeaderValue(headers, "Date");
+
+  return buildFilename(template, {
+    date: dateHeader ? new Date(dateHeader) : itemInfo.date,
+    from: from || itemInfo.from,
+    to: getAddressHeader(headers, "To"),
+    subject: getHeaderValue(headers, "Subject") || itemInfo.subject,
+    conversationId: itemInfo.conversationId,
+    hash: template && template.includes("{hash") ? await sha256Hex(blob) : ""
+  }, extension);
+}
+
+/* Clean a subject line into a filename with the given extension */
+function makeFilename(subject, extension) {
+  return sanitizeFilename(stripSubjectPrefixes(subject) || subject || "email", MAX_FILENAME_LENGTH - extension.length) + extension;
+}
+
+/* Make a filename unique within a batch by appending a counter */
+function uniqueFilename(filename, usedNames) {
+  const dot = filename.lastIndexOf('.');
+  const base = dot > 0 ? filename.substring(0, dot) : filename;
+  const extension = dot > 0 ? filename.substring(dot) : "";
+
+  let candidate = filename;
+  let counter = 2;
+  // Compare case-insensitively: Windows and macOS treat "A.eml" and "a.eml" as the same file
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = `${base} (${counter})${extension}`;
+    counter++;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
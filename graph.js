@@ -0,0 +1,269 @@
+/* Microsoft Graph requests with throttling-aware retries and classified errors */
+
+const GRAPH_BASE_URL = "https://graph.microsoft.com/v1.0";
+
+/* How often and how long transient failures are retried */
+const RETRY_POLICY = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 120000
+};
+
+/* Typed error codes and the explanation shown to the user */
+const DOWNLOAD_ERROR_CODES = {
+  THROTTLED: "Microsoft 365 is throttling requests. The add-in waited and retried, but the limit was still in effect.",
+  SERVICE_UNAVAILABLE: "The mail service is temporarily unavailable.",
+  UNAUTHORIZED: "The sign-in was rejected even after refreshing it. Try signing out and in again.",
+  FORBIDDEN: "Your account is not allowed to read this message. An administrator may need to grant consent.",
+  NOT_FOUND: "The message could not be found. It may have been moved or deleted, or it has not synced yet.",
+  INVALID_ID: "The message id was not accepted by the service.",
+  CONFLICT: "A file with this name already exists in the destination folder.",
+  PROTECTED: "The message is signed, encrypted or rights-protected, so only its original MIME can be exported; rebuilding it from message data would lose the protection.",
+  NETWORK: "The request could not reach the service. Check your network connection.",
+  EWS_UNAVAILABLE: "Outlook could not provide the message with its own credentials. REST and EWS may be disabled for this mailbox or not offered by this Outlook client.",
+  CANCELLED: "The export was cancelled.",
+  UNKNOWN: "The service returned an unexpected error."
+};
+
+/* Errors after which other Graph requests for the same item cannot succeed */
+const GRAPH_FATAL_ERRORS = ["UNAUTHORIZED", "FORBIDDEN", "NOT_FOUND", "INVALID_ID"];
+
+/* Helper function to wait/delay */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/* Create an error carrying a typed code, its explanation and the raw details */
+function createDownloadError(code, details) {
+  const explanation = DOWNLOAD_ERROR_CODES[code] || DOWNLOAD_ERROR_CODES.UNKNOWN;
+  const error = new Error(details ? `${explanation} [${code}: ${details}]` : `${explanation} [${code}]`);
+  error.code = code;
+  error.explanation = explanation;
+  error.details = details || "";
+  return error;
+}
+
+/* Map a failed Graph response to a typed download error */
+async function classifyGraphResponse(response) {
+  let graphCode = "";
+  let graphMessage = "";
+
+  try {
+    const body = await response.json();
+    graphCode = body.error?.code || "";
+    graphMessage = body.error?.message || "";
+  } catch (error) {
+    // Not a Graph JSON error body; the status code alone decides
+  }
+
+  const details = [response.status, graphCode, graphMessage].filter(Boolean).join(" ");
+
+  if (graphCode === "ErrorInvalidIdMalformed" || graphCode === "ErrorInvalidId") {
+    return createDownloadError("INVALID_ID", details);
+  }
+
+  switch (response.status) {
+    case 401:
+      return createDownloadError("UNAUTHORIZED", details);
+    case 403:
+      return createDownloadError("FORBIDDEN", details);
+    case 404:
+      return createDownloadError("NOT_FOUND", details);
+    case 409:
+      return createDownloadError("CONFLICT", details);
+    case 429:
+      return createDownloadError("THROTTLED", details);
+    case 502:
+    case 503:
+    case 504:
+      return createDownloadError("SERVICE_UNAVAILABLE", details);
+    default:
+      return createDownloadError("UNKNOWN", details);
+  }
+}
+
+/* Read the Retry-After header (seconds or HTTP date) as milliseconds */
+function parseRetryAfter(response) {
+  const value = response.headers.get("Retry-After");
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  const ms = isNaN(seconds) ? new Date(value).getTime() - Date.now() : seconds * 1000;
+  return isNaN(ms) ? null : Math.min(Math.max(ms, 0), RETRY_POLICY.maxRetryAfterMs);
+}
+
+/* Exponential backoff with "equal jitter": half fixed, half random */
+function getBackoffDelay(attempt) {
+  const exponential = Math.min(RETRY_POLICY.baseDelayMs * Math.pow(2, attempt), RETRY_POLICY.maxDelayMs);
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/* Create the state shared by the Graph requests of one export; scopes default to GRAPH_SCOPES.
+   Set session.signal to an AbortSignal to make the export cancellable, and session.mailboxPath
+   (see getMailboxContext) to read from a mailbox other than the user's own. */
+function createGraphSession(accessToken, onWait, scopes) {
+  return { accessToken: accessToken, refreshed: false, onWait: onWait || null, scopes: scopes || null, signal: null, mailboxPath: "/me" };
+}
+
+/* Base URL of the mailbox a session reads from */
+function getMailboxUrl(session) {
+  return `${GRAPH_BASE_URL}${session.mailboxPath}`;
+}
+
+/* Find the mailbox that holds the open item: the user's own, or the owner's when the item is in
+   a shared mailbox or a folder delegated to the user (Graph needs Mail.Read.Shared for those).
+   getSharedPropertiesAsync only exists on items opened from shared or delegated folders. */
+async function getMailboxContext() {
+  const mailbox = Office.context.mailbox;
+  const userAddress = mailbox.userProfile?.emailAddress || "";
+  const item = mailbox.item;
+  let owner = null;
+
+  if (item && typeof item.getSharedPropertiesAsync === "function") {
+    owner = await new Promise((resolve) => {
+      item.getSharedPropertiesAsync((result) => {
+        resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value.owner : null);
+      });
+    });
+  }
+
+  if (owner && owner.toLowerCase() !== userAddress.toLowerCase()) {
+    return { address: owner, path: `/users/${encodeURIComponent(owner)}`, isShared: true };
+  }
+  return { address: userAddress, path: "/me", isShared: false };
+}
+
+/* Convert an Outlook (EWS) item id to the REST id Graph uses; Graph ids pass through unchanged.
+   Clients without convertToRestId (before Mailbox 1.3) ask Graph's translateExchangeIds. */
+async function resolveGraphMessageId(session, itemId) {
+  if (Office.context.mailbox.convertToRestId) {
+    return Office.context.mailbox.convertToRestId(itemId, Office.MailboxEnums.RestVersion.v2_0);
+  }
+
+  const response = await graphFetch(session, `${getMailboxUrl(session)}/translateExchangeIds`, {
+    method: "POST",
+    headers: {
+      "Accept": "application/json",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ inputIds: [itemId], sourceIdType: "ewsId", targetIdType: "restId" })
+  });
+  const translated = await response.json();
+  return translated.value?.[0]?.targetId || itemId;
+}
+
+/* Fetch from Graph, retrying throttled and transient failures and refreshing the token once on 401.
+   Pass preAuthenticated for URLs that carry their own credentials, such as upload sessions.
+   Pass noRetry for requests that must not run twice, such as sending mail: a network error or a
+   502-504 may come after the service acted, so only throttling (429), a refusal, is retried. */
+async function graphFetch(session, url, options = {}) {
+  const { preAuthenticated, noRetry, ...fetchOptions } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+
+    try {
+      response = await fetch(url, preAuthenticated ? { ...fetchOptions, signal: session.signal || undefined } : {
+        ...fetchOptions,
+        headers: { ...fetchOptions.headers, "Authorization": `Bearer ${session.accessToken}` },
+        signal: session.signal || undefined
+      });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw createDownloadError("CANCELLED");
+      }
+      if (attempt < RETRY_POLICY.maxRetries && !noRetry) {
+        await waitBeforeRetry(session, getBackoffDelay(attempt), "network error");
+        continue;
+      }
+      throw createDownloadError("NETWORK", error.message);
+    }
+
+    if (response.ok) {
+      return response;
+    }
+
+    const isTransient = response.status === 429 ||
+      (!noRetry && (response.status === 502 || response.status === 503 || response.status === 504));
+    if (isTransient && attempt < RETRY_POLICY.maxRetries) {
+      const retryAfter = parseRetryAfter(response);
+      await waitBeforeRetry(session, retryAfter !== null ? retryAfter : getBackoffDelay(attempt),
+        response.status === 429 ? "throttled" : "service busy");
+      continue;
+    }
+
+    // An expired or revoked token gets exactly one refresh
+    if (response.status === 401 && !session.refreshed && !preAuthenticated) {
+      session.refreshed = true;
+      session.accessToken = await getToken({ forceRefresh: true, scopes: session.scopes || undefined });
+      continue;
+    }
+
+    throw await classifyGraphResponse(response);
+  }
+}
+
+/* Wait before a retry, telling the caller why */
+async function waitBeforeRetry(session, ms, reason) {
+  if (session.onWait) {
+    session.onWait(ms, reason);
+  }
+  await delay(ms);
+  if (session.signal?.aborted) {
+    throw createDownloadError("CANCELLED");
+  }
+}
+
+/* Read a response body chunk by chunk, reporting the bytes received so far and the
+   expected total (null when the server sends no Content-Length) */
+async function readResponseWithProgress(response, onProgress) {
+  const type = response.headers.get("Content-Type") || "message/rfc822";
+  if (!response.body) {
+    return response.blob();
+  }
+
+  const total = parseInt(response.headers.get("Content-Length"), 10) || null;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      chunks.push(value);
+      received += value.length;
+      onProgress(received, total);
+    }
+  } catch (error) {
+    throw error.name === "AbortError" ? createDownloadError("CANCELLED") : createDownloadError("NETWORK", error.message);
+  }
+
+  // The chunks stay separate so a large message never needs one contiguous copy in memory
+  return new Blob(chunks, { type: type });
+}
+
+/* Fetch every page of a Graph collection by following @odata.nextLink */
+async function fetchAllGraphPages(session, url) {
+  const items = [];
+  let nextUrl = url;
+
+  while (nextUrl) {
+    const response = await graphFetch(session, nextUrl, {
+      headers: {
+        "Accept": "application/json"
+      }
+    });
+
+    const page = await response.json();
+    items.push(...page.value);
+    nextUrl = page["@odata.nextLink"];
+  }
+
+  return items;
+}
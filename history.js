@@ -0,0 +1,135 @@
+/* Export history kept in IndexedDB: what was exported, when and how, with a cached copy for re-download */
+
+const HISTORY_DB_NAME = "sedEmailDownloader";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "exports";
+
+/* Cached copies beyond this total size are dropped, oldest first; their history entries remain */
+const HISTORY_CACHE_LIMIT_BYTES = 200 * 1024 * 1024;
+
+let historyDb = null;
+
+/* Wrap an IndexedDB request in a promise */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/* Open the history database, creating the store on first use */
+async function openHistoryDb() {
+  if (historyDb) {
+    return historyDb;
+  }
+
+  const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: "id", autoIncrement: true });
+    store.createIndex("internetMessageId", "internetMessageId", { unique: false });
+  };
+
+  historyDb = await promisifyRequest(request);
+  return historyDb;
+}
+
+/* Get the history store in a new transaction */
+async function getHistoryStore(mode) {
+  const db = await openHistoryDb();
+  return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
+
+/* Message-IDs are compared without surrounding whitespace and case-insensitively */
+function normalizeMessageId(messageId) {
+  return (messageId || "").trim().toLowerCase();
+}
+
+/* Add one export to the history */
+async function addHistoryEntry(entry) {
+  const store = await getHistoryStore("readwrite");
+  return promisifyRequest(store.add({ ...entry, internetMessageId: normalizeMessageId(entry.internetMessageId) }));
+}
+
+/* Every history entry, newest first */
+async function getHistoryEntries() {
+  const store = await getHistoryStore("readonly");
+  const entries = await promisifyRequest(store.getAll());
+  return entries.reverse();
+}
+
+/* One history entry by id */
+async function getHistoryEntry(id) {
+  const store = await getHistoryStore("readonly");
+  return promisifyRequest(store.get(id));
+}
+
+/* Earlier exports of the message with this Message-ID */
+async function findHistoryEntries(internetMessageId) {
+  const messageId = normalizeMessageId(internetMessageId);
+  if (!messageId) {
+    return [];
+  }
+
+  const store = await getHistoryStore("readonly");
+  return promisifyRequest(store.index("internetMessageId").getAll(messageId));
+}
+
+/* Drop the oldest cached copies once the cache grows beyond its limit */
+async function pruneHistoryCache() {
+  const entries = await getHistoryEntries();
+  const store = await getHistoryStore("readwrite");
+  let total = 0;
+
+  for (const entry of entries) {
+    if (!entry.blob) {
+      continue;
+    }
+    total += entry.blob.size;
+    if (total > HISTORY_CACHE_LIMIT_BYTES) {
+      store.put({ ...entry, blob: null });
+    }
+  }
+}
+
+/* Delete the whole history, cached copies included */
+async function clearHistory() {
+  const store = await getHistoryStore("readwrite");
+  return promisifyRequest(store.clear());
+}
+
+/* Record a successful export: details from the MIME headers plus the file that was saved */
+async function recordExport(result, saved) {
+  const headers = await readMimeHeaders(result.blob);
+  const from = getAddressHeader(headers, "From")[0];
+
+  await addHistoryEntry({
+    internetMessageId: getHeaderValue(headers, "Message-ID"),
+    subject: getHeaderValue(headers, "Subject"),
+    sender: from ? from.address : "",
+    date: getHeaderValue(headers, "Date"),
+    filename: saved.filename,
+    sha256: saved.custodyRecord ? saved.custodyRecord.sha256 : await sha256Hex(saved.outputBlob),
+    method: result.methodLabel,
+    mailbox: result.mailbox || "",
+    exportedAt: new Date().toISOString(),
+    blob: saved.outputBlob
+  });
+  await pruneHistoryCache();
+}
+
+/* Quote one CSV field (RFC 4180). Fields starting with a formula character are prefixed
+   with an apostrophe so spreadsheets do not run subjects or addresses as formulas. */
+function formatCsvField(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* The history as CSV, without the cached copies */
+function createHistoryCsv(entries) {
+  const columns = ["exportedAt", "internetMessageId", "subject", "sender", "date", "mailbox", "filename", "sha256", "method"];
+  const rows = entries.map(entry => columns.map(column => formatCsvField(entry[column])).join(","));
+  return [columns.join(",")].concat(rows).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,76 @@
+/* RFC 4155 mbox writer (mboxrd ">From " quoting) */
+
+const MBOX_DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MBOX_MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/* Format a date in the UTC asctime form used by "From " separator lines */
+function formatMboxDate(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${MBOX_DAYS[date.getUTCDay()]} ${MBOX_MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, " ")} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+}
+
+/* Build the "From " separator line for one message */
+function createMboxSeparator(sender, date) {
+  // The envelope sender must be a single token without spaces
+  const address = (sender || "").replace(/\s/g, "") || "MAILER-DAEMON";
+  const validDate = date instanceof Date && !isNaN(date) ? date : new Date();
+  return `From ${address} ${formatMboxDate(validDate)}\n`;
+}
+
+/* Check whether a line starts with zero or more ">" followed by "From " */
+function isMboxFromLine(bytes, start, end) {
+  let i = start;
+  while (i < end && bytes[i] === 0x3e) {
+    i++;
+  }
+  return end - i >= 5 &&
+    bytes[i] === 0x46 && bytes[i + 1] === 0x72 && bytes[i + 2] === 0x6f &&
+    bytes[i + 3] === 0x6d && bytes[i + 4] === 0x20;
+}
+
+/* Convert raw MIME bytes to an mbox body: LF line endings and ">From " quoting */
+function quoteMboxBody(bytes) {
+  const parts = [];
+  const quote = new Uint8Array([0x3e]);
+  const newline = new Uint8Array([0x0a]);
+  let start = 0;
+
+  while (start < bytes.length) {
+    let end = bytes.indexOf(0x0a, start);
+    const next = end === -1 ? bytes.length : end + 1;
+    if (end === -1) {
+      end = bytes.length;
+    }
+
+    // Work on bytes so 8-bit bodies in any charset pass through untouched
+    let lineEnd = end;
+    if (lineEnd > start && bytes[lineEnd - 1] === 0x0d) {
+      lineEnd--;
+    }
+
+    if (isMboxFromLine(bytes, start, lineEnd)) {
+      parts.push(quote);
+    }
+    parts.push(bytes.subarray(start, lineEnd), newline);
+    start = next;
+  }
+
+  return parts;
+}
+
+/* Package a list of { sender, date, data } messages into a single mbox blob */
+async function createMboxBlob(messages) {
+  const parts = [];
+  const newline = new Uint8Array([0x0a]);
+
+  for (const message of messages) {
+    const bytes = new Uint8Array(await message.data.arrayBuffer());
+    parts.push(createMboxSeparator(message.sender, message.date));
+    parts.push(...quoteMboxBody(bytes));
+    // Every message is terminated by an empty line before the next separator
+    parts.push(newline);
+  }
+
+  return new Blob(parts, { type: "application/mbox" });
+}
@@ -0,0 +1,553 @@
+/* MIME helpers shared by the EML builder, the header reader, the preview, redaction and the
+   readable renderings. MIME text is handled as "binary strings": one character per byte. */
+
+/* Convert a byte array to a binary string */
+function bytesToBinary(bytes) {
+  let binary = "";
+  // Chunked to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+}
+
+/* Convert a binary string back to a byte array */
+function binaryToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+/* Encode a JavaScript string as a UTF-8 binary string */
+function utf8ToBinary(text) {
+  return bytesToBinary(new TextEncoder().encode(text));
+}
+
+/* Wrap base64 text at 76 characters per line */
+function wrapBase64(base64) {
+  return (base64.replace(/\s/g, "").match(/.{1,76}/g) || []).join("\r\n");
+}
+
+/* Create a random multipart boundary */
+function generateMimeBoundary() {
+  const random = new Uint8Array(12);
+  crypto.getRandomValues(random);
+  return "----=_Part_" + Array.from(random, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/* Quote a MIME parameter value, escaping backslashes and quotes */
+function quoteMimeParameter(value) {
+  return `"${String(value).replace(/[\\"]/g, "\\$&").replace(/[\r\n]/g, " ")}"`;
+}
+
+/* Check whether a string only contains printable US-ASCII */
+function isPrintableAscii(text) {
+  return /^[\x20-\x7e]*$/.test(text);
+}
+
+/* Encode header text as RFC 2047 encoded-words when it is not plain ASCII */
+function encodeHeaderText(text) {
+  if (isPrintableAscii(text)) {
+    return text;
+  }
+
+  // Each encoded-word may be at most 75 characters: 12 for "=?UTF-8?B?" and "?=",
+  // leaving 60 base64 characters (45 bytes). Never split a character across words.
+  const encoder = new TextEncoder();
+  const words = [];
+  let chunk = "";
+  let chunkBytes = 0;
+
+  for (const char of text.replace(/[\r\n]+/g, " ")) {
+    const size = encoder.encode(char).length;
+    if (chunkBytes + size > 45) {
+      words.push(chunk);
+      chunk = "";
+      chunkBytes = 0;
+    }
+    chunk += char;
+    chunkBytes += size;
+  }
+  if (chunk) {
+    words.push(chunk);
+  }
+
+  return words.map((word) => `=?UTF-8?B?${btoa(utf8ToBinary(word))}?=`).join(" ");
+}
+
+/* Format a display name and address as an RFC 5322 mailbox */
+function formatMailbox(name, address) {
+  const cleanName = (name || "").replace(/[\r\n]+/g, " ").trim();
+  if (!cleanName || cleanName === address) {
+    return address;
+  }
+
+  let phrase;
+  if (!isPrintableAscii(cleanName)) {
+    phrase = encodeHeaderText(cleanName);
+  } else if (/^[A-Za-z0-9!#$%&'*+\-\/=?^_`{|}~ ]+$/.test(cleanName)) {
+    phrase = cleanName;
+  } else {
+    // Specials such as commas or dots need a quoted-string
+    phrase = `"${cleanName.replace(/[\\"]/g, "\\$&")}"`;
+  }
+
+  return `${phrase} <${address}>`;
+}
+
+/* Format a date for a Date header (RFC 5322 numeric zone) */
+function formatMimeDate(date) {
+  return date.toUTCString().replace(/GMT$/, "+0000");
+}
+
+/* Format a MIME parameter, using RFC 2231 encoding and continuations for non-ASCII values */
+function formatMimeParameter(name, value) {
+  if (isPrintableAscii(value)) {
+    return `${name}=${quoteMimeParameter(value)}`;
+  }
+
+  const encoded = "UTF-8''" + encodeURIComponent(value).replace(/['()*]/g, (char) => "%" + char.charCodeAt(0).toString(16).toUpperCase());
+  const sections = encoded.match(/(%[0-9A-F]{2}|[^%]){1,40}/g);
+  if (sections.length === 1) {
+    return `${name}*=${encoded}`;
+  }
+  return sections.map((section, index) => `${name}*${index}*=${section}`).join("; ");
+}
+
+/* Fold a header line at whitespace so lines stay within 78 columns where possible */
+function foldHeader(line) {
+  const unfolded = line.replace(/\r?\n(?=[ \t])/g, "");
+  if (unfolded.length <= 78) {
+    return unfolded;
+  }
+
+  const tokens = unfolded.split(/(?=[ \t])/);
+  const lines = [];
+  let current = "";
+
+  tokens.forEach((token) => {
+    if (current && current.length + token.length > 78) {
+      lines.push(current);
+      current = token;
+    } else {
+      current += token;
+    }
+  });
+  lines.push(current);
+
+  return lines.join("\r\n");
+}
+
+/* Encode one line of a binary string as quoted-printable with soft breaks */
+function encodeQuotedPrintableLine(line) {
+  let output = "";
+  let current = "";
+
+  for (let i = 0; i < line.length; i++) {
+    const code = line.charCodeAt(i);
+    let token;
+    if ((code === 0x20 || code === 0x09) && i === line.length - 1) {
+      // Trailing whitespace would be stripped in transit
+      token = "=" + code.toString(16).toUpperCase().padStart(2, "0");
+    } else if (code === 0x20 || code === 0x09 || (code >= 33 && code <= 126 && code !== 61)) {
+      token = line[i];
+    } else {
+      token = "=" + code.toString(16).toUpperCase().padStart(2, "0");
+    }
+
+    if (current.length + token.length > 75) {
+      output += current + "=\r\n";
+      current = "";
+    }
+    current += token;
+  }
+
+  return output + current;
+}
+
+/* Encode a binary string as quoted-printable (RFC 2045) */
+function encodeQuotedPrintable(binary) {
+  return binary.split(/\r?\n/).map(encodeQuotedPrintableLine).join("\r\n");
+}
+
+/* Create a single (leaf) MIME part; the body must already be transfer-encoded */
+function createMimePart(headers, body) {
+  return { headers: headers, body: body };
+}
+
+/* Create a multipart/<subtype> container around the given parts */
+function createMultipart(subtype, parts) {
+  return {
+    headers: [["Content-Type", `multipart/${subtype}`]],
+    boundary: generateMimeBoundary(),
+    parts: parts
+  };
+}
+
+/* Serialize a header list to folded, CRLF-terminated header lines. The boundary is added
+   to Content-Type unless it already names one, as it does in parsed parts. */
+function serializeMimeHeaders(headers, boundary) {
+  return headers.map(([name, value]) => {
+    if (boundary && name.toLowerCase() === "content-type" && !parseHeaderParameters(value).params.boundary) {
+      return foldHeader(`${name}: ${value}; boundary=${quoteMimeParameter(boundary)}`) + "\r\n";
+    }
+    return foldHeader(`${name}: ${value}`) + "\r\n";
+  }).join("");
+}
+
+/* Serialize a MIME part tree into a binary string. Takes trees built with createMimePart and
+   createMultipart as well as trees from parseMimeEntity, with their preambles, epilogues
+   and attached messages. */
+function serializeMimePart(part) {
+  let output = serializeMimeHeaders(part.headers, part.parts ? part.boundary : null) + "\r\n";
+
+  if (part.message) {
+    return output + serializeMimePart(part.message);
+  }
+  if (!part.parts) {
+    return output + part.body;
+  }
+
+  if (part.preamble) {
+    output += part.preamble + "\r\n";
+  }
+  part.parts.forEach((child) => {
+    output += `--${part.boundary}\r\n`;
+    // The CRLF before each delimiter belongs to the delimiter, not the part body
+    output += serializeMimePart(child) + "\r\n";
+  });
+
+  return output + `--${part.boundary}--\r\n` + (part.epilogue || "");
+}
+
+/* Decode RFC 2047 encoded-words (B and Q) in a header value */
+function decodeHeaderText(value) {
+  // Whitespace between adjacent encoded-words is not part of the text
+  const joined = value.replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, "$1");
+
+  return joined.replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+    try {
+      const binary = encoding.toUpperCase() === "B"
+        ? atob(text)
+        : text.replace(/_/g, " ").replace(/=([0-9A-Fa-f]{2})/g, (hex, code) => String.fromCharCode(parseInt(code, 16)));
+      return new TextDecoder(charset).decode(binaryToBytes(binary));
+    } catch (error) {
+      return match;
+    }
+  });
+}
+
+/* Parse a header block (binary string) into unfolded [name, value] pairs */
+function parseMimeHeaders(headerBlock) {
+  const headers = [];
+  headerBlock.replace(/\r?\n[ \t]/g, " ").split(/\r?\n/).forEach((line) => {
+    const colon = line.indexOf(":");
+    if (colon > 0) {
+      headers.push([line.substring(0, colon).trim(), line.substring(colon + 1).trim()]);
+    }
+  });
+  return headers;
+}
+
+/* Read and parse just the top-level headers of a MIME blob */
+async function readMimeHeaders(blob) {
+  const start = bytesToBinary(new Uint8Array(await blob.slice(0, 65536).arrayBuffer()));
+  const end = start.search(/\r?\n\r?\n/);
+  return parseMimeHeaders(end === -1 ? start : start.substring(0, end));
+}
+
+/* Get the first value of a header from a parsed header list, decoded to text */
+function getHeaderValue(headers, name) {
+  const header = headers.find(([headerName]) => headerName.toLowerCase() === name.toLowerCase());
+  return header ? decodeHeaderText(header[1]) : "";
+}
+
+/* Split an address list into { name, address } entries, respecting quotes and angle brackets */
+function parseAddressList(value) {
+  const entries = [];
+  let current = "";
+  let inQuotes = false;
+  let inBrackets = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '"' && value[i - 1] !== "\\") {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === "<") {
+      inBrackets = true;
+    } else if (!inQuotes && char === ">") {
+      inBrackets = false;
+    } else if (!inQuotes && !inBrackets && char === ",") {
+      entries.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  entries.push(current);
+
+  return entries.map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const match = entry.match(/^(.*?)\s*<([^>]*)>\s*$/);
+    if (!match) {
+      return { name: "", address: entry };
+    }
+    const name = match[1].replace(/^"(.*)"$/, "$1").replace(/\\(.)/g, "$1").trim();
+    return { name: name, address: match[2].trim() };
+  });
+}
+
+/* Get the addresses in an address header, with display names decoded */
+function getAddressHeader(headers, name) {
+  const header = headers.find(([headerName]) => headerName.toLowerCase() === name.toLowerCase());
+  if (!header) {
+    return [];
+  }
+  // Split before decoding so commas inside encoded display names are not separators
+  return parseAddressList(header[1]).map((entry) => ({ name: decodeHeaderText(entry.name), address: entry.address }));
+}
+
+/* Nesting deeper than this is left unparsed, so crafted messages cannot exhaust the stack */
+const MAX_MIME_DEPTH = 20;
+
+/* Get the first raw (still encoded) value of a header from a parsed header list */
+function getRawHeaderValue(headers, name) {
+  const header = headers.find(([headerName]) => headerName.toLowerCase() === name.toLowerCase());
+  return header ? header[1] : "";
+}
+
+/* Parse a structured header such as Content-Type into its lowercased value and parameters.
+   RFC 2231 continuations and charsets are joined and decoded; RFC 2047 words in
+   parameters, which many clients send despite the standard, are decoded too. */
+function parseHeaderParameters(headerValue) {
+  const segments = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < headerValue.length; i++) {
+    const char = headerValue[i];
+    if (inQuotes && char === "\\") {
+      current += char + (headerValue[i + 1] || "");
+      i++;
+      continue;
+    }
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === ";") {
+      segments.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  segments.push(current);
+
+  const sections = {};
+  segments.slice(1).forEach((segment) => {
+    const equals = segment.indexOf("=");
+    if (equals <= 0) {
+      return;
+    }
+    const match = segment.substring(0, equals).trim().toLowerCase().match(/^(.+?)(?:\*(\d+))?(\*)?$/);
+    let value = segment.substring(equals + 1).trim();
+    if (/^"[\s\S]*"$/.test(value)) {
+      value = value.slice(1, -1).replace(/\\(.)/g, "$1");
+    }
+    (sections[match[1]] = sections[match[1]] || []).push({ index: Number(match[2] || 0), encoded: !!match[3], value: value });
+  });
+
+  const params = {};
+  Object.keys(sections).forEach((name) => {
+    const pieces = sections[name].sort((a, b) => a.index - b.index);
+    let charset = null;
+    const binary = pieces.map((piece, i) => {
+      if (!piece.encoded) {
+        return piece.value;
+      }
+      let value = piece.value;
+      if (i === 0) {
+        const quote = value.indexOf("'");
+        const secondQuote = value.indexOf("'", quote + 1);
+        if (quote !== -1 && secondQuote !== -1) {
+          charset = value.substring(0, quote) || null;
+          value = value.substring(secondQuote + 1);
+        }
+      }
+      return value.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }).join("");
+    params[name] = charset ? decodeMimeText(binary, charset) : decodeHeaderText(binary);
+  });
+
+  return { value: segments[0].trim().toLowerCase(), params: params };
+}
+
+/* Decode a quoted-printable binary string */
+function decodeQuotedPrintable(binary) {
+  return binary
+    .replace(/[ \t]+(\r?\n)/g, "$1")
+    .replace(/=\r?\n/g, "")
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/* Undo a Content-Transfer-Encoding, returning the content as a binary string */
+function decodeTransferEncoding(body, encoding) {
+  switch ((encoding || "").toLowerCase()) {
+    case "base64":
+      try {
+        // Padding is often lost when messages are re-wrapped; restore it before decoding
+        const clean = body.replace(/[^A-Za-z0-9+/]/g, "");
+        const usable = clean.length % 4 === 1 ? clean.slice(0, -1) : clean;
+        return atob(usable + "==".slice(0, (4 - usable.length % 4) % 4));
+      } catch (error) {
+        return "";
+      }
+    case "quoted-printable":
+      return decodeQuotedPrintable(body);
+    default:
+      return body;
+  }
+}
+
+/* Decode a binary string in the given charset, falling back to UTF-8 for unknown labels */
+function decodeMimeText(binary, charset) {
+  try {
+    return new TextDecoder(charset || "us-ascii").decode(binaryToBytes(binary));
+  } catch (error) {
+    return new TextDecoder("utf-8").decode(binaryToBytes(binary));
+  }
+}
+
+/* Split a multipart body on its boundary into preamble, part texts and epilogue */
+function splitMultipartBody(body, boundary) {
+  const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const delimiter = new RegExp(`(?:^|\\r?\\n)--${escaped}(--)?[ \\t]*(?=\\r?\\n|$)`, "g");
+  const parts = [];
+  let preamble = "";
+  let epilogue = "";
+  let partStart = null;
+  let closed = false;
+  let match;
+
+  while ((match = delimiter.exec(body)) !== null) {
+    if (partStart === null) {
+      preamble = body.substring(0, match.index);
+    } else {
+      parts.push(partStart <= match.index ? body.substring(partStart, match.index) : "");
+    }
+
+    partStart = match.index + match[0].length;
+    const lineBreak = /^\r?\n/.exec(body.substring(partStart, partStart + 2));
+    if (lineBreak) {
+      partStart += lineBreak[0].length;
+    }
+
+    if (match[1]) {
+      epilogue = body.substring(partStart);
+      closed = true;
+      break;
+    }
+  }
+
+  // A multipart that was cut off keeps what arrived of its last part
+  if (!closed && partStart !== null) {
+    parts.push(body.substring(partStart));
+  }
+
+  return { preamble: preamble, parts: parts, epilogue: epilogue };
+}
+
+/* Parse a MIME entity (binary string) into a part tree. Leaf parts keep their body still
+   transfer-encoded; multiparts and attached messages get parts instead of a body. */
+function parseMimeEntity(binary, depth = 0) {
+  let headerBlock = "";
+  let body = binary;
+  const leadingBreak = /^\r?\n/.exec(binary);
+
+  if (!leadingBreak) {
+    const separator = /\r?\n\r?\n/.exec(binary);
+    headerBlock = separator ? binary.substring(0, separator.index) : binary;
+    body = separator ? binary.substring(separator.index + separator[0].length) : "";
+  } else {
+    // A part without headers starts with the blank line
+    body = binary.substring(leadingBreak[0].length);
+  }
+
+  const headers = parseMimeHeaders(headerBlock);
+  const contentType = parseHeaderParameters(getRawHeaderValue(headers, "Content-Type") || "text/plain; charset=us-ascii");
+  const part = {
+    headers: headers,
+    contentType: contentType.value,
+    params: contentType.params,
+    encoding: (getRawHeaderValue(headers, "Content-Transfer-Encoding") || "7bit").trim().toLowerCase(),
+    size: body.length
+  };
+
+  if (depth < MAX_MIME_DEPTH && contentType.value.startsWith("multipart/") && contentType.params.boundary) {
+    const multipart = splitMultipartBody(body, contentType.params.boundary);
+    part.boundary = contentType.params.boundary;
+    part.preamble = multipart.preamble;
+    part.epilogue = multipart.epilogue;
+    part.parts = multipart.parts.map(text => parseMimeEntity(text, depth + 1));
+  } else if (depth < MAX_MIME_DEPTH && contentType.value === "message/rfc822" && !["base64", "quoted-printable"].includes(part.encoding)) {
+    part.message = parseMimeEntity(body, depth + 1);
+  } else {
+    part.body = body;
+  }
+
+  return part;
+}
+
+/* Get the filename of a part from Content-Disposition, else the Content-Type name */
+function getPartFilename(part) {
+  const disposition = parseHeaderParameters(getRawHeaderValue(part.headers, "Content-Disposition"));
+  return disposition.params.filename || part.params.name || "";
+}
+
+/* Whether a part is an attachment rather than part of the message body */
+function isAttachmentPart(part) {
+  const disposition = parseHeaderParameters(getRawHeaderValue(part.headers, "Content-Disposition")).value;
+  return disposition === "attachment" || !!part.message || (!!getPartFilename(part) && disposition !== "inline");
+}
+
+/* Get a text part's content decoded to a JavaScript string */
+function getPartText(part) {
+  return decodeMimeText(decodeTransferEncoding(part.body, part.encoding), part.params.charset);
+}
+
+/* Set a header in a parsed header list, replacing every existing value in place */
+function setMimeHeader(headers, name, value) {
+  const matches = (header) => header[0].toLowerCase() === name.toLowerCase();
+  const index = headers.findIndex(matches);
+  const kept = headers.filter(header => !matches(header));
+  kept.splice(index === -1 ? kept.length : index, 0, [name, value]);
+  headers.splice(0, headers.length, ...kept);
+}
+
+/* Replace a parsed text part's content, re-encoding it as UTF-8 quoted-printable */
+function setPartText(part, text) {
+  const params = Object.keys(part.params).filter(name => name !== "charset").map(name => formatMimeParameter(name, part.params[name]));
+  setMimeHeader(part.headers, "Content-Type", [part.contentType, "charset=utf-8", ...params].join("; "));
+  setMimeHeader(part.headers, "Content-Transfer-Encoding", "quoted-printable");
+  part.params = { ...part.params, charset: "utf-8" };
+  part.encoding = "quoted-printable";
+  part.body = encodeQuotedPrintable(utf8ToBinary(text));
+  part.size = part.body.length;
+}
+
+/* Visit every part of a tree, depth first, without descending into attached messages */
+function walkMimeParts(part, visit, depth = 0) {
+  visit(part, depth);
+  (part.parts || []).forEach(child => walkMimeParts(child, visit, depth + 1));
+}
+
+/* List a message's attachments in document order; attached messages count as one attachment */
+function getAttachmentParts(root) {
+  const attachments = [];
+  walkMimeParts(root, (part) => {
+    if (part !== root && isAttachmentPart(part)) {
+      attachments.push(part);
+    }
+  });
+  return attachments;
+}
@@ -0,0 +1,313 @@
+/* Outlook .msg writer (MS-OXMSG): the MAPI properties of a message, its recipients and its
+   attachments, stored in a compound file. Built from the parsed MIME of the download. */
+
+/* MAPI property types */
+const MAPI_TYPES = { long: 0x0003, boolean: 0x000B, time: 0x0040, unicode: 0x001F, binary: 0x0102 };
+
+/* Property tags: the property id in the high word, its type in the low word */
+const MAPI_TAGS = {
+  importance: 0x00170003,
+  messageClass: 0x001A001F,
+  subject: 0x0037001F,
+  clientSubmitTime: 0x00390040,
+  subjectPrefix: 0x003D001F,
+  sentRepresentingName: 0x0042001F,
+  sentRepresentingAddrType: 0x0064001F,
+  sentRepresentingEmailAddress: 0x0065001F,
+  conversationTopic: 0x0070001F,
+  transportMessageHeaders: 0x007D001F,
+  senderName: 0x0C1A001F,
+  senderAddrType: 0x0C1E001F,
+  senderEmailAddress: 0x0C1F001F,
+  recipientType: 0x0C150003,
+  displayBcc: 0x0E02001F,
+  displayCc: 0x0E03001F,
+  displayTo: 0x0E04001F,
+  messageDeliveryTime: 0x0E060040,
+  messageFlags: 0x0E070003,
+  normalizedSubject: 0x0E1D001F,
+  hasAttachments: 0x0E1B000B,
+  attachSize: 0x0E200003,
+  attachNumber: 0x0E210003,
+  objectType: 0x0FFE0003,
+  body: 0x1000001F,
+  rtfCompressed: 0x10090102,
+  html: 0x10130102,
+  internetMessageId: 0x1035001F,
+  internetReferences: 0x1039001F,
+  inReplyToId: 0x1042001F,
+  rowId: 0x30000003,
+  displayName: 0x3001001F,
+  addrType: 0x3002001F,
+  emailAddress: 0x3003001F,
+  storeSupportMask: 0x340D0003,
+  attachDataBinary: 0x37010102,
+  attachExtension: 0x3703001F,
+  attachFilename: 0x3704001F,
+  attachDataObject: 0x3701000D,
+  attachMethod: 0x37050003,
+  attachLongFilename: 0x3707001F,
+  renderingPosition: 0x370B0003,
+  attachMimeTag: 0x370E001F,
+  attachContentId: 0x3712001F,
+  displayType: 0x39000003,
+  smtpAddress: 0x39FE001F,
+  internetCodepage: 0x3FDE0003,
+  senderSmtpAddress: 0x5D01001F,
+  sentRepresentingSmtpAddress: 0x5D02001F,
+  recipientDisplayName: 0x5FF6001F,
+  attachmentHidden: 0x7FFE000B
+};
+
+/* CLSID of an Outlook message, stored on the root storage */
+const MSG_CLSID = [0x0B, 0x0D, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0xC0, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x46];
+
+const MSG_RECIPIENT_TYPES = { To: 1, Cc: 2, Bcc: 3 };
+
+const MSGFLAG_READ = 0x01;
+const MSGFLAG_HASATTACH = 0x10;
+const STORE_UNICODE_OK = 0x00040000;
+const MAPI_MAILUSER = 6;
+const MAPI_ATTACH = 7;
+const ATTACH_BY_VALUE = 1;
+const ATTACH_EMBEDDED_MSG = 5;
+const UTF8_CODEPAGE = 65001;
+
+/* Reply and forward prefixes split off the subject as PR_SUBJECT_PREFIX */
+const SUBJECT_PREFIX_PATTERN = /^((?:re|fw|fwd|aw|wg|sv|vs|tr|rv):\s*)/i;
+
+/* Encode text as UTF-16LE, as PT_UNICODE properties are stored */
+function encodeUtf16(text) {
+  const bytes = new Uint8Array(text.length * 2);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i * 2] = text.charCodeAt(i) & 0xFF;
+    bytes[i * 2 + 1] = text.charCodeAt(i) >> 8;
+  }
+  return bytes;
+}
+
+/* Convert a date to a FILETIME: 100-nanosecond intervals since 1601 */
+function toFileTime(date) {
+  return (BigInt(date.getTime()) + 11644473600000n) * 10000n;
+}
+
+/* Build the storage for one property set: the __properties_version1.0 stream with the fixed-size
+   values inline, plus a __substg1.0_ stream for each string and binary value.
+   props is a list of [tag, value]; empty strings, null and undefined are left out. */
+function createPropertyStorage(props, headerSize, headerFields) {
+  const used = props.filter(([, value]) => value !== null && value !== undefined && value !== "");
+  const stream = new DataView(new ArrayBuffer(headerSize + used.length * 16));
+  (headerFields || []).forEach((value, i) => stream.setUint32(8 + i * 4, value, true));
+  const children = [];
+
+  used.forEach(([tag, value], index) => {
+    const offset = headerSize + index * 16;
+    const type = tag & 0xFFFF;
+    stream.setUint32(offset, tag, true);
+    // Readable and writable
+    stream.setUint32(offset + 4, 6, true);
+
+    if (type === MAPI_TYPES.unicode || type === MAPI_TYPES.binary) {
+      const data = type === MAPI_TYPES.unicode ? encodeUtf16(value) : value;
+      // Strings count their terminating null, which the stream itself leaves out
+      stream.setUint32(offset + 8, data.length + (type === MAPI_TYPES.unicode ? 2 : 0), true);
+      children.push({ name: `__substg1.0_${tag.toString(16).toUpperCase().padStart(8, "0")}`, data: data });
+    } else if (type === MAPI_TYPES.time) {
+      stream.setBigUint64(offset + 8, toFileTime(value), true);
+    } else if (type === MAPI_TYPES.boolean) {
+      stream.setUint16(offset + 8, value ? 1 : 0, true);
+    } else {
+      stream.setUint32(offset + 8, value >>> 0, true);
+    }
+  });
+
+  children.push({ name: "__properties_version1.0", data: new Uint8Array(stream.buffer) });
+  return children;
+}
+
+/* Wrap RTF in the uncompressed form of PR_RTF_COMPRESSED, which needs no compressor */
+function createUncompressedRtf(rtf) {
+  const data = new Uint8Array(16 + rtf.length);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, rtf.length + 12, true);
+  view.setUint32(4, rtf.length, true);
+  // "MELA" marks uncompressed content; its CRC is always 0
+  view.setUint32(8, 0x414C454D, true);
+  data.set(rtf, 16);
+  return data;
+}
+
+/* The date a message arrived: the date of the newest Received header, else its Date */
+function getDeliveryDate(headers, sentDate) {
+  const received = getRawHeaderValue(headers, "Received");
+  const date = new Date(received.substring(received.lastIndexOf(";") + 1).trim());
+  return received && !isNaN(date.getTime()) ? date : sentDate;
+}
+
+/* Collect the parts stored as .msg attachments: the attachments themselves, plus inline
+   images with a Content-ID, which Outlook keeps as hidden attachments the HTML refers to */
+function getMsgAttachmentParts(root, bodyParts) {
+  const parts = [];
+  walkMimeParts(root, (part) => {
+    if (part === root || part.parts || bodyParts.includes(part)) {
+      return;
+    }
+    if (isAttachmentPart(part) || getRawHeaderValue(part.headers, "Content-ID")) {
+      parts.push(part);
+    }
+  });
+  return parts;
+}
+
+/* Build the properties of one attachment. Attached messages are embedded as messages, so they
+   carry no data here; their storage is added by createMsgStorage. */
+function getMsgAttachmentProps(part, index) {
+  const contentId = getRawHeaderValue(part.headers, "Content-ID").replace(/^<|>$/g, "");
+  const hidden = !isAttachmentPart(part);
+  if (part.message) {
+    return [
+      [MAPI_TAGS.attachNumber, index],
+      [MAPI_TAGS.objectType, MAPI_ATTACH],
+      [MAPI_TAGS.attachMethod, ATTACH_EMBEDDED_MSG],
+      [MAPI_TAGS.renderingPosition, -1],
+      [MAPI_TAGS.displayName, getHeaderValue(part.message.headers, "Subject") || "(attached message)"],
+      [MAPI_TAGS.attachMimeTag, part.contentType],
+      [MAPI_TAGS.attachContentId, contentId],
+      [MAPI_TAGS.attachmentHidden, hidden]
+    ];
+  }
+
+  const filename = getPartFilename(part) || `attachment${index + 1}`;
+  const dot = filename.lastIndexOf(".");
+  const content = binaryToBytes(getAttachmentContent(part));
+
+  return [
+    [MAPI_TAGS.attachNumber, index],
+    [MAPI_TAGS.objectType, MAPI_ATTACH],
+    [MAPI_TAGS.attachMethod, ATTACH_BY_VALUE],
+    [MAPI_TAGS.renderingPosition, -1],
+    [MAPI_TAGS.displayName, filename],
+    [MAPI_TAGS.attachFilename, filename],
+    [MAPI_TAGS.attachLongFilename, filename],
+    [MAPI_TAGS.attachExtension, dot > 0 ? filename.substring(dot) : ""],
+    [MAPI_TAGS.attachMimeTag, part.contentType],
+    [MAPI_TAGS.attachContentId, contentId],
+    [MAPI_TAGS.attachmentHidden, hidden],
+    [MAPI_TAGS.attachSize, content.length],
+    [MAPI_TAGS.attachDataBinary, content]
+  ];
+}
+
+/* Build the properties of one recipient */
+function getMsgRecipientProps(recipient, type, index) {
+  const name = recipient.name || recipient.address;
+  return [
+    [MAPI_TAGS.rowId, index],
+    [MAPI_TAGS.recipientType, type],
+    [MAPI_TAGS.objectType, MAPI_MAILUSER],
+    [MAPI_TAGS.displayType, 0],
+    [MAPI_TAGS.displayName, name],
+    [MAPI_TAGS.recipientDisplayName, name],
+    [MAPI_TAGS.addrType, "SMTP"],
+    [MAPI_TAGS.emailAddress, recipient.address],
+    [MAPI_TAGS.smtpAddress, recipient.address]
+  ];
+}
+
+/* Build the streams and storages of one message: headers, recipients, the plain-text, HTML and
+   (when the message carries one) RTF bodies, and every attachment. Attached messages become
+   embedded messages, stored the same way with the 24-byte header of an embedded property stream. */
+function createMsgStorage(root, embedded) {
+  const headers = root.headers;
+  const subject = getHeaderValue(headers, "Subject");
+  const prefix = (SUBJECT_PREFIX_PATTERN.exec(subject) || [""])[0];
+  const from = getAddressHeader(headers, "From")[0] || { name: "", address: "" };
+  const sender = getAddressHeader(headers, "Sender")[0] || from;
+  const sentDate = new Date(getHeaderValue(headers, "Date"));
+  const importance = getHeaderValue(headers, "Importance").toLowerCase();
+
+  const body = getMessageBody(root);
+  let rtfPart = null;
+  walkMimeParts(root, (part) => {
+    if (!rtfPart && part.body !== undefined && /^(text|application)\/rtf$/.test(part.contentType) && !isAttachmentPart(part)) {
+      rtfPart = part;
+    }
+  });
+  const bodyParts = [body.htmlPart, body.textPart, rtfPart].filter(Boolean);
+  const attachmentParts = getMsgAttachmentParts(root, bodyParts);
+
+  const recipients = [];
+  Object.keys(MSG_RECIPIENT_TYPES).forEach((header) => {
+    getAddressHeader(headers, header).forEach(recipient => recipients.push({ ...recipient, type: MSG_RECIPIENT_TYPES[header] }));
+  });
+  const displayNames = (type) => recipients.filter(recipient => recipient.type === type).map(recipient => recipient.name || recipient.address).join("; ");
+  const rawHeaders = decodeMimeText(`${headers.map(([name, value]) => `${name}: ${value}`).join("\r\n")}\r\n\r\n`, "utf-8");
+  const validDate = (date) => isNaN(date.getTime()) ? null : date;
+
+  const props = [
+    [MAPI_TAGS.messageClass, "IPM.Note"],
+    [MAPI_TAGS.storeSupportMask, STORE_UNICODE_OK],
+    [MAPI_TAGS.messageFlags, MSGFLAG_READ | (attachmentParts.some(isAttachmentPart) ? MSGFLAG_HASATTACH : 0)],
+    [MAPI_TAGS.hasAttachments, attachmentParts.some(isAttachmentPart)],
+    [MAPI_TAGS.importance, importance === "high" ? 2 : importance === "low" ? 0 : 1],
+    [MAPI_TAGS.subject, subject],
+    [MAPI_TAGS.subjectPrefix, prefix],
+    [MAPI_TAGS.normalizedSubject, subject.substring(prefix.length)],
+    [MAPI_TAGS.conversationTopic, subject.substring(prefix.length)],
+    [MAPI_TAGS.clientSubmitTime, validDate(sentDate)],
+    [MAPI_TAGS.messageDeliveryTime, validDate(getDeliveryDate(headers, sentDate))],
+    [MAPI_TAGS.senderName, sender.name || sender.address],
+    [MAPI_TAGS.senderAddrType, "SMTP"],
+    [MAPI_TAGS.senderEmailAddress, sender.address],
+    [MAPI_TAGS.senderSmtpAddress, sender.address],
+    [MAPI_TAGS.sentRepresentingName, from.name || from.address],
+    [MAPI_TAGS.sentRepresentingAddrType, "SMTP"],
+    [MAPI_TAGS.sentRepresentingEmailAddress, from.address],
+    [MAPI_TAGS.sentRepresentingSmtpAddress, from.address],
+    [MAPI_TAGS.displayTo, displayNames(MSG_RECIPIENT_TYPES.To)],
+    [MAPI_TAGS.displayCc, displayNames(MSG_RECIPIENT_TYPES.Cc)],
+    [MAPI_TAGS.displayBcc, displayNames(MSG_RECIPIENT_TYPES.Bcc)],
+    [MAPI_TAGS.internetMessageId, getRawHeaderValue(headers, "Message-ID")],
+    [MAPI_TAGS.inReplyToId, getRawHeaderValue(headers, "In-Reply-To")],
+    [MAPI_TAGS.internetReferences, getRawHeaderValue(headers, "References").replace(/\s+/g, " ")],
+    [MAPI_TAGS.transportMessageHeaders, rawHeaders],
+    [MAPI_TAGS.body, body.textPart ? getPartText(body.textPart) : body.htmlPart ? convertHtmlToText(getPartText(body.htmlPart), false) : ""],
+    // PR_HTML is bytes; the code page tells Outlook they are UTF-8
+    [MAPI_TAGS.html, body.htmlPart ? new TextEncoder().encode(getPartText(body.htmlPart)) : null],
+    [MAPI_TAGS.internetCodepage, body.htmlPart ? UTF8_CODEPAGE : null],
+    [MAPI_TAGS.rtfCompressed, rtfPart ? createUncompressedRtf(binaryToBytes(decodeTransferEncoding(rtfPart.body, rtfPart.encoding))) : null]
+  ];
+
+  // The property stream header holds the next recipient and attachment ids and their counts
+  const children = createPropertyStorage(props, embedded ? 24 : 32, [recipients.length, attachmentParts.length, recipients.length, attachmentParts.length]);
+
+  recipients.forEach((recipient, index) => {
+    children.push({
+      name: `__recip_version1.0_#${index.toString(16).toUpperCase().padStart(8, "0")}`,
+      children: createPropertyStorage(getMsgRecipientProps(recipient, recipient.type, index), 8)
+    });
+  });
+
+  attachmentParts.forEach((part, index) => {
+    children.push({
+      name: `__attach_version1.0_#${index.toString(16).toUpperCase().padStart(8, "0")}`,
+      children: createPropertyStorage(getMsgAttachmentProps(part, index), 8).concat(part.message
+        ? [{ name: `__substg1.0_${MAPI_TAGS.attachDataObject.toString(16).toUpperCase()}`, clsid: MSG_CLSID, children: createMsgStorage(part.message, true) }]
+        : [])
+    });
+  });
+
+  return children;
+}
+
+/* Create an Outlook .msg from a parsed message. Named properties are not used, but Outlook
+   expects the named property storage to exist. */
+function createMsgBlob(root) {
+  const children = createMsgStorage(root, false);
+  children.push({
+    name: "__nameid_version1.0",
+    children: ["00020102", "00030102", "00040102"].map(tag => ({ name: `__substg1.0_${tag}`, data: new Uint8Array(0) }))
+  });
+
+  return createCompoundFileBlob({ name: "Root Entry", clsid: MSG_CLSID, children: children }, "application/vnd.ms-outlook");
+}
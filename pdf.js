@@ -0,0 +1,132 @@
+/* Minimal PDF writer for printable text exports: A4 pages of Courier text, no dependencies.
+   The standard fonts only cover WinAnsiEncoding, so other characters are printed as "?" and
+   reported in the warnings; the document title is written in UTF-16 and keeps them. */
+
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+const PDF_MARGIN = 50;
+const PDF_FONT_SIZE = 10;
+const PDF_LEADING = 12;
+
+/* Courier is monospaced: every character is 600/1000 of the font size wide */
+const PDF_LINE_CHARACTERS = Math.floor((PDF_PAGE_WIDTH - 2 * PDF_MARGIN) / (PDF_FONT_SIZE * 0.6));
+const PDF_PAGE_LINES = Math.floor((PDF_PAGE_HEIGHT - 2 * PDF_MARGIN) / PDF_LEADING);
+
+/* WinAnsiEncoding bytes 0x80-0x9F for the characters that differ from Latin-1 */
+const PDF_WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88,
+  "‰": 0x89, "Š": 0x8A, "‹": 0x8B, "Œ": 0x8C, "Ž": 0x8E, "‘": 0x91, "’": 0x92, "“": 0x93,
+  "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "˜": 0x98, "™": 0x99, "š": 0x9A, "›": 0x9B,
+  "œ": 0x9C, "ž": 0x9E, "Ÿ": 0x9F
+};
+
+/* Encode text as a PDF string literal in WinAnsiEncoding, adding the characters it cannot
+   hold to the unsupported set */
+function encodePdfString(text, unsupported) {
+  let encoded = "";
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    let byte = PDF_WIN_ANSI[char];
+    if (byte === undefined && ((code >= 0x20 && code < 0x7F) || (code >= 0xA0 && code <= 0xFF))) {
+      byte = code;
+    } else if (byte === undefined) {
+      byte = 0x3F;
+      unsupported.add(char);
+    }
+    const value = String.fromCharCode(byte);
+    encoded += value === "\\" || value === "(" || value === ")" ? `\\${value}` : value;
+  }
+  return `(${encoded})`;
+}
+
+/* Encode text as a UTF-16 PDF text string, for the document information */
+function encodePdfTextString(text) {
+  let hex = "FEFF";
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, "0");
+  }
+  return `<${hex}>`;
+}
+
+/* Wrap one line of text to the page width, breaking at spaces where possible */
+function wrapPdfLine(text) {
+  const lines = [];
+  let rest = text.replace(/\t/g, "    ").replace(/\s+$/, "");
+
+  while (Array.from(rest).length > PDF_LINE_CHARACTERS) {
+    const chars = Array.from(rest);
+    const head = chars.slice(0, PDF_LINE_CHARACTERS + 1).join("");
+    const space = head.lastIndexOf(" ");
+    const cut = space > 0 ? space : chars.slice(0, PDF_LINE_CHARACTERS).join("").length;
+    lines.push(rest.substring(0, cut));
+    rest = rest.substring(cut).replace(/^ /, "");
+  }
+  lines.push(rest);
+  return lines;
+}
+
+/* Create a PDF from lines of { text, bold }; long lines wrap and pages break as needed.
+   Characters the fonts cannot show are listed in a warning added to warnings. */
+function createTextPdfBlob(lines, title, warnings = []) {
+  const unsupported = new Set();
+  const wrapped = [];
+  lines.forEach((line) => {
+    line.text.split(/\r?\n/).forEach((text) => {
+      wrapPdfLine(text).forEach(part => wrapped.push({ text: part, bold: line.bold }));
+    });
+  });
+
+  const pages = [];
+  for (let i = 0; i < Math.max(wrapped.length, 1); i += PDF_PAGE_LINES) {
+    pages.push(wrapped.slice(i, i + PDF_PAGE_LINES));
+  }
+
+  // Objects 1-4 are the catalog, the page tree, the two fonts and the document info; each page
+  // then takes two objects, the page and its content stream
+  const objects = [];
+  const pageIds = pages.map((page, index) => 6 + index * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>";
+  objects[5] = `<< /Title ${encodePdfTextString(title || "")} /Producer (SED Email Downloader) >>`;
+
+  pages.forEach((page, index) => {
+    let stream = `BT\n${PDF_LEADING} TL\n${PDF_MARGIN} ${PDF_PAGE_HEIGHT - PDF_MARGIN - PDF_FONT_SIZE} Td\n`;
+    let bold = null;
+    page.forEach((line) => {
+      if (line.bold !== bold) {
+        bold = line.bold;
+        stream += `/${bold ? "F2" : "F1"} ${PDF_FONT_SIZE} Tf\n`;
+      }
+      stream += `${encodePdfString(line.text, unsupported)} Tj T*\n`;
+    });
+    stream += "ET";
+
+    objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  // The file is built as a binary string, so string lengths are byte offsets
+  let pdf = "%PDF-1.4\n%\xE2\xE3\xCF\xD3\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  if (unsupported.size > 0) {
+    const examples = Array.from(unsupported).slice(0, 5).map(char => `"${char}"`).join(", ");
+    warnings.push(`The PDF cannot show ${unsupported.size} kinds of characters (such as ${examples}); they are printed as "?". The HTML format keeps them.`);
+  }
+
+  return new Blob([binaryToBytes(pdf)], { type: "application/pdf" });
+}
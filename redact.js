@@ -0,0 +1,175 @@
+/* Redacted export profile: a rewritten copy of the MIME for sharing outside an investigation.
+   The download itself is never changed; the redacted copy is saved alongside it. */
+
+/* Headers removed by each profile option */
+const REDACTED_HEADERS = {
+  bcc: [/^bcc$/i, /^resent-bcc$/i],
+  internal: [/^received$/i, /^x-ms-exchange-/i]
+};
+
+/* Headers made of addresses, rewritten without their display names when pseudonymizing */
+const ADDRESS_HEADERS = ["from", "sender", "reply-to", "to", "cc", "bcc", "return-path", "delivered-to",
+  "disposition-notification-to", "resent-from", "resent-sender", "resent-to", "resent-cc", "resent-bcc"];
+
+/* Headers holding ids that look like addresses but must stay intact for threading and cid: links */
+const MESSAGE_ID_HEADERS = ["message-id", "in-reply-to", "references", "resent-message-id", "content-id"];
+
+const EMAIL_ADDRESS_PATTERN = /[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/g;
+
+/* Pseudonyms use a reserved top-level domain so they can never reach a real mailbox */
+const PSEUDONYM_DOMAIN = "redacted.invalid";
+
+/* Name of the redacted copy saved next to an export */
+function getRedactedFilename(filename) {
+  const dot = filename.lastIndexOf(".");
+  return dot > 0 ? `${filename.substring(0, dot)}.redacted${filename.substring(dot)}` : `${filename}.redacted`;
+}
+
+/* Build the redaction profile from the settings; the attachments to drop are chosen per message
+   in the preview, as indexes into getAttachmentParts */
+function getRedactionProfile(settings, dropAttachments) {
+  return {
+    removeBcc: settings.redactBcc,
+    removeInternalHeaders: settings.redactInternalHeaders,
+    stripRemoteImages: settings.redactRemoteImages,
+    pseudonymize: settings.redactPseudonymize,
+    dropAttachments: dropAttachments || []
+  };
+}
+
+/* Create the address mapping for one export; passing the same mapping to every message of a
+   batch gives each address the same pseudonym throughout */
+function createPseudonymMap() {
+  return new Map();
+}
+
+/* Get the pseudonym of an address, assigning the next free one on first sight */
+function getPseudonym(mapping, address) {
+  const key = address.toLowerCase();
+  if (!mapping.has(key)) {
+    mapping.set(key, `person${mapping.size + 1}@${PSEUDONYM_DOMAIN}`);
+  }
+  return mapping.get(key);
+}
+
+/* Replace every address in a text, leaving cid: references to inline images alone */
+function pseudonymizeText(text, mapping) {
+  return text.replace(EMAIL_ADDRESS_PATTERN, (match, offset) => {
+    return text.substring(offset - 4, offset).toLowerCase() === "cid:" ? match : getPseudonym(mapping, match);
+  });
+}
+
+/* Rewrite an address header with pseudonyms only; display names would identify people too */
+function pseudonymizeAddressHeader(name, value, mapping) {
+  const addresses = parseAddressList(value).map(entry => pseudonymizeText(entry.address, mapping));
+  return name.toLowerCase() === "return-path" ? `<${addresses[0] || ""}>` : addresses.join(", ");
+}
+
+/* Remove remote images from HTML: <img> tags loading from the network (tracking pixels among them),
+   background and srcset attributes, and CSS url() references. cid: and data: images stay. */
+function stripRemoteImages(html) {
+  let removed = 0;
+  const isEmbedded = (value) => /^\s*(["']|&quot;|&#39;)?\s*(cid|data):/i.test(value);
+  const remove = (replacement) => {
+    removed++;
+    return replacement;
+  };
+
+  const cleaned = html.replace(/<[a-z][^>]*>/gi, (tag) => {
+    if (/^<img\b/i.test(tag)) {
+      const src = /\ssrc\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i.exec(tag);
+      if (src && !isEmbedded(src[1])) {
+        return remove("");
+      }
+    }
+    return tag.replace(/\s(background|srcset)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, (match, name, value) => {
+      return isEmbedded(value) ? match : remove("");
+    });
+  }).replace(/url\(([^)]*)\)/gi, (match, url) => isEmbedded(url) ? match : remove("url()"));
+
+  return { html: cleaned, removed: removed };
+}
+
+/* Remove the given parts from a tree */
+function removeMimeParts(part, dropped) {
+  if (part.parts) {
+    part.parts = part.parts.filter(child => !dropped.has(child));
+    part.parts.forEach(child => removeMimeParts(child, dropped));
+  }
+}
+
+/* Redact the headers and body text of one entity and everything below it, attached messages included */
+function redactEntity(part, profile, mapping, report) {
+  const removedHeaders = [
+    ...(profile.removeBcc ? REDACTED_HEADERS.bcc : []),
+    ...(profile.removeInternalHeaders ? REDACTED_HEADERS.internal : [])
+  ];
+  const headerCount = part.headers.length;
+  part.headers = part.headers.filter(([name]) => !removedHeaders.some(pattern => pattern.test(name)));
+  report.headers += headerCount - part.headers.length;
+
+  if (profile.pseudonymize) {
+    part.headers = part.headers.map(([name, value]) => {
+      const lowerName = name.toLowerCase();
+      if (MESSAGE_ID_HEADERS.includes(lowerName)) {
+        return [name, value];
+      }
+      return [name, ADDRESS_HEADERS.includes(lowerName) ? pseudonymizeAddressHeader(name, value, mapping) : pseudonymizeText(value, mapping)];
+    });
+  }
+
+  if (part.message) {
+    redactEntity(part.message, profile, mapping, report);
+  }
+  (part.parts || []).forEach(child => redactEntity(child, profile, mapping, report));
+
+  // Only the message body is rewritten; attachments keep their content
+  const isBodyText = part.body !== undefined && (part.contentType === "text/html" || part.contentType === "text/plain") && !isAttachmentPart(part);
+  if (!isBodyText || !(profile.pseudonymize || (profile.stripRemoteImages && part.contentType === "text/html"))) {
+    return;
+  }
+
+  let text = getPartText(part);
+  const original = text;
+  if (profile.stripRemoteImages && part.contentType === "text/html") {
+    const stripped = stripRemoteImages(text);
+    text = stripped.html;
+    report.images += stripped.removed;
+  }
+  if (profile.pseudonymize) {
+    text = pseudonymizeText(text, mapping);
+  }
+  if (text !== original) {
+    setPartText(part, text);
+  }
+}
+
+/* Apply a redaction profile to a parsed message in place and report what was removed */
+function redactMimeTree(root, profile, mapping) {
+  const report = { headers: 0, images: 0, attachments: 0, addresses: 0 };
+  const knownAddresses = mapping.size;
+
+  const dropped = new Set(getAttachmentParts(root).filter((part, index) => profile.dropAttachments.includes(index)));
+  removeMimeParts(root, dropped);
+  report.attachments = dropped.size;
+
+  redactEntity(root, profile, mapping, report);
+  report.addresses = mapping.size - knownAddresses;
+
+  // Say on the copy itself that it is not the original
+  root.headers.push(["X-Redacted", `${formatMimeDate(new Date())}; ${describeRedaction(report)}`]);
+  return report;
+}
+
+/* Summarize a redaction report in one line */
+function describeRedaction(report) {
+  return `removed ${report.headers} header(s), ${report.images} remote image(s), ${report.attachments} attachment(s); ` +
+    `${report.addresses} new address(es) pseudonymized`;
+}
+
+/* Create the redacted copy of a downloaded message */
+async function createRedactedBlob(blob, profile, mapping) {
+  const root = parseMimeEntity(bytesToBinary(new Uint8Array(await blob.arrayBuffer())));
+  const report = redactMimeTree(root, profile, mapping);
+  return { blob: new Blob([binaryToBytes(serializeMimePart(root))], { type: "message/rfc822" }), report: report };
+}
@@ -0,0 +1,275 @@
+/* Human-readable renderings of a downloaded message for readers without a mail client:
+   a self-contained HTML page, a printable PDF, Markdown and a structured JSON dump.
+   All of them are built from the parsed MIME, the same data the .eml holds. */
+
+/* Headers shown at the top of each rendering */
+const RENDERED_HEADERS = ["From", "To", "Cc", "Date", "Subject"];
+
+/* Find the body parts of a message: the first HTML and plain-text parts that are not attachments,
+   and the inline images keyed by Content-ID as data: URLs */
+function getMessageBody(root) {
+  let htmlPart = null;
+  let textPart = null;
+  const inlineImages = {};
+
+  walkMimeParts(root, (part) => {
+    if (part.body === undefined) {
+      return;
+    }
+    const contentId = getRawHeaderValue(part.headers, "Content-ID").replace(/^<|>$/g, "");
+    if (contentId && part.contentType.startsWith("image/")) {
+      inlineImages[contentId] = `data:${part.contentType};base64,${btoa(decodeTransferEncoding(part.body, part.encoding))}`;
+    }
+    if (!isAttachmentPart(part)) {
+      if (!htmlPart && part.contentType === "text/html") {
+        htmlPart = part;
+      } else if (!textPart && part.contentType === "text/plain") {
+        textPart = part;
+      }
+    }
+  });
+
+  return { htmlPart: htmlPart, textPart: textPart, inlineImages: inlineImages };
+}
+
+/* Decode a %-escaped cid: reference; a malformed escape is used as written */
+function decodeContentIdReference(id) {
+  try {
+    return decodeURIComponent(id);
+  } catch (error) {
+    return id;
+  }
+}
+
+/* Replace cid: references in HTML with the matching inline images */
+function embedInlineImages(html, inlineImages) {
+  return html.replace(/cid:([^"'\s)>]+)/gi, (match, id) => inlineImages[decodeContentIdReference(id)] || match);
+}
+
+/* The decoded content of an attachment as a binary string; attached messages are re-serialized */
+function getAttachmentContent(part) {
+  return part.message ? serializeMimePart(part.message) : decodeTransferEncoding(part.body, part.encoding);
+}
+
+/* Describe the attachments of a message for the renderings */
+function getAttachmentDetails(root) {
+  return getAttachmentParts(root).map((part) => ({
+    filename: getPartFilename(part) || (part.message ? `${getHeaderValue(part.message.headers, "Subject") || "(attached message)"}.eml` : "(unnamed)"),
+    contentType: part.contentType,
+    size: getAttachmentContent(part).length,
+    contentId: getRawHeaderValue(part.headers, "Content-ID").replace(/^<|>$/g, "") || null,
+    part: part
+  }));
+}
+
+/* Convert an HTML body to readable text, as Markdown or as plain text */
+function convertHtmlToText(html, markdown) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+
+  const render = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, " ");
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return "";
+    }
+
+    const tag = node.tagName.toLowerCase();
+    const inner = () => Array.from(node.childNodes, render).join("");
+    const wrap = (marker) => {
+      const text = inner().trim();
+      return text && markdown ? `${marker}${text}${marker}` : text;
+    };
+
+    switch (tag) {
+      case "script":
+      case "style":
+      case "head":
+      case "title":
+        return "";
+      case "br":
+        return "\n";
+      case "hr":
+        return `\n\n${markdown ? "---" : "-".repeat(20)}\n\n`;
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6":
+        return `\n\n${markdown ? `${"#".repeat(Number(tag[1]))} ` : ""}${inner().trim()}\n\n`;
+      case "p":
+      case "table":
+      case "ul":
+      case "ol":
+        return `\n\n${inner()}\n\n`;
+      case "div":
+      case "tr":
+        return `\n${inner()}\n`;
+      case "td":
+      case "th":
+        return `${inner().trim()}  `;
+      case "li": {
+        const list = node.parentElement;
+        const bullet = list && list.tagName.toLowerCase() === "ol"
+          ? `${Array.from(list.children).indexOf(node) + 1}. `
+          : "- ";
+        return `\n${bullet}${inner().trim()}`;
+      }
+      case "blockquote":
+        return `\n\n${inner().trim().split("\n").map(line => `> ${line}`).join("\n")}\n\n`;
+      case "pre":
+        return markdown ? `\n\n\`\`\`\n${node.textContent}\n\`\`\`\n\n` : `\n\n${node.textContent}\n\n`;
+      case "b":
+      case "strong":
+        return wrap("**");
+      case "i":
+      case "em":
+        return wrap("_");
+      case "a": {
+        const text = inner().trim();
+        const href = node.getAttribute("href") || "";
+        if (!/^(https?|mailto):/i.test(href) || href === text || href === `mailto:${text}`) {
+          return text;
+        }
+        return markdown ? `[${text || href}](${href})` : `${text} <${href}>`;
+      }
+      case "img": {
+        const alt = node.getAttribute("alt") || "";
+        return alt ? `[${alt}]` : "";
+      }
+      default:
+        return inner();
+    }
+  };
+
+  return render(doc.body || doc.documentElement)
+    .split("\n")
+    // Whitespace collapsed at the start of a line is left over from the HTML source
+    .map(line => line.replace(/^ (?=\S)/, "").replace(/[ \t]+$/, ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/* Get the body as text: the HTML body converted when there is one, else the plain-text body */
+function getMessageBodyText(root, markdown) {
+  const body = getMessageBody(root);
+  if (body.htmlPart) {
+    return convertHtmlToText(getPartText(body.htmlPart), markdown);
+  }
+  return body.textPart ? getPartText(body.textPart).trim() : "";
+}
+
+/* Render a message as one HTML file that opens in any browser. Inline images are embedded as
+   data: URLs; the policy blocks scripts and remote content, as in the preview. */
+function createMessageHtml(root) {
+  const body = getMessageBody(root);
+  const source = body.htmlPart
+    ? embedInlineImages(getPartText(body.htmlPart), body.inlineImages)
+    : `<pre style="white-space:pre-wrap;font-family:inherit">${escapeXml(body.textPart ? getPartText(body.textPart) : "")}</pre>`;
+  const doc = new DOMParser().parseFromString(source, "text/html");
+
+  // The file is written as UTF-8, whatever charset the message declared
+  doc.querySelectorAll("meta[charset], meta[http-equiv]").forEach(meta => meta.remove());
+  doc.head.insertAdjacentHTML("afterbegin", '<meta charset="utf-8">' +
+    `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">` +
+    `<title>${escapeXml(getHeaderValue(root.headers, "Subject") || "(No Subject)")}</title>`);
+
+  const rows = RENDERED_HEADERS.map((name) => {
+    const value = getHeaderValue(root.headers, name);
+    return value ? `<tr><th style="text-align:left;padding-right:1em">${name}</th><td>${escapeXml(value)}</td></tr>` : "";
+  }).join("");
+  const attachments = getAttachmentDetails(root).map((attachment) => {
+    return `<li>${escapeXml(attachment.filename)} (${escapeXml(attachment.contentType)}, ${formatFileSize(attachment.size)})</li>`;
+  }).join("");
+  doc.body.insertAdjacentHTML("afterbegin", '<div style="font-family:sans-serif;border-bottom:1px solid #ccc;margin-bottom:1em;padding-bottom:0.5em">' +
+    `<table>${rows}</table>${attachments ? `<p>Attachments (not included):</p><ul>${attachments}</ul>` : ""}</div>`);
+
+  return new Blob([`<!DOCTYPE html>\n${doc.documentElement.outerHTML}`], { type: "text/html" });
+}
+
+/* Render a message as Markdown, readable as plain text too */
+function createMessageMarkdown(root) {
+  const lines = [`# ${getHeaderValue(root.headers, "Subject") || "(No Subject)"}`, ""];
+  RENDERED_HEADERS.filter(name => name !== "Subject").forEach((name) => {
+    const value = getHeaderValue(root.headers, name);
+    if (value) {
+      lines.push(`**${name}:** ${value}  `);
+    }
+  });
+  lines.push("", "---", "", getMessageBodyText(root, true));
+
+  const attachments = getAttachmentDetails(root);
+  if (attachments.length > 0) {
+    lines.push("", "---", "", "## Attachments", "");
+    attachments.forEach(attachment => lines.push(`- ${attachment.filename} (${attachment.contentType}, ${formatFileSize(attachment.size)})`));
+  }
+
+  return new Blob([`${lines.join("\n")}\n`], { type: "text/markdown" });
+}
+
+/* Render a message as a printable PDF: the headers, the body text and the attachment list.
+   Characters the PDF cannot show are reported in warnings. */
+function createMessagePdf(root, warnings) {
+  const subject = getHeaderValue(root.headers, "Subject") || "(No Subject)";
+  const lines = [];
+  RENDERED_HEADERS.forEach((name) => {
+    const value = getHeaderValue(root.headers, name);
+    if (value) {
+      lines.push({ text: `${name}: ${value}`, bold: true });
+    }
+  });
+  lines.push({ text: "", bold: false }, { text: getMessageBodyText(root, false), bold: false });
+
+  const attachments = getAttachmentDetails(root);
+  if (attachments.length > 0) {
+    lines.push({ text: "", bold: false }, { text: "Attachments (not included):", bold: true });
+    attachments.forEach(attachment => lines.push({ text: `- ${attachment.filename} (${formatFileSize(attachment.size)})`, bold: false }));
+  }
+
+  return createTextPdfBlob(lines, subject, warnings);
+}
+
+/* Dump a message as JSON: headers, recipients, both bodies and attachment metadata with hashes */
+async function createMessageJson(root) {
+  const body = getMessageBody(root);
+  const date = new Date(getHeaderValue(root.headers, "Date"));
+  const attachments = [];
+
+  for (const attachment of getAttachmentDetails(root)) {
+    attachments.push({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      contentId: attachment.contentId,
+      sha256: await sha256Hex(new Blob([binaryToBytes(getAttachmentContent(attachment.part))]))
+    });
+  }
+
+  const message = {
+    subject: getHeaderValue(root.headers, "Subject"),
+    date: isNaN(date.getTime()) ? getHeaderValue(root.headers, "Date") : date.toISOString(),
+    messageId: getRawHeaderValue(root.headers, "Message-ID"),
+    inReplyTo: getRawHeaderValue(root.headers, "In-Reply-To") || null,
+    from: getAddressHeader(root.headers, "From")[0] || null,
+    sender: getAddressHeader(root.headers, "Sender")[0] || null,
+    replyTo: getAddressHeader(root.headers, "Reply-To"),
+    to: getAddressHeader(root.headers, "To"),
+    cc: getAddressHeader(root.headers, "Cc"),
+    bcc: getAddressHeader(root.headers, "Bcc"),
+    headers: root.headers.map(([name, value]) => ({ name: name, value: decodeHeaderText(value) })),
+    body: {
+      text: body.textPart ? getPartText(body.textPart) : null,
+      html: body.htmlPart ? getPartText(body.htmlPart) : null
+    },
+    attachments: attachments
+  };
+
+  return new Blob([JSON.stringify(message, null, 2)], { type: "application/json" });
+}
+
+/* Parse a downloaded message for rendering */
+async function parseMessageBlob(blob) {
+  return parseMimeEntity(bytesToBinary(new Uint8Array(await blob.arrayBuffer())));
+}
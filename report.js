@@ -0,0 +1,134 @@
+/* Report a suspicious message to the security team: the original MIME is sent through Graph
+   as a message/rfc822 attachment, and the original can then be moved out of the way */
+
+/* sendMail takes requests up to 4 MB. Base64 adds a third to the attachment and the rest of the
+   request needs room too, so larger messages are attached to a draft through an upload session
+   and the draft is sent */
+const SENDMAIL_REQUEST_LIMIT = 4 * 1000 * 1000;
+const SENDMAIL_ENVELOPE_ALLOWANCE = 256 * 1024;
+const INLINE_REPORT_ATTACHMENT_LIMIT = Math.floor((SENDMAIL_REQUEST_LIMIT - SENDMAIL_ENVELOPE_ALLOWANCE) / 4) * 3;
+
+/* Attachment upload sessions take at most 4 MB per request */
+const REPORT_ATTACHMENT_CHUNK_SIZE = 320 * 1024 * 12;
+
+/* Where the reported original can go afterwards, by well-known folder name */
+const REPORT_MOVE_DESTINATIONS = {
+  none: { label: "Leave it where it is", folderName: null },
+  junkemail: { label: "Move it to Junk Email", folderName: "Junk Email" },
+  deleteditems: { label: "Move it to Deleted Items", folderName: "Deleted Items" }
+};
+
+/* The scopes a report needs: writing is only asked for when the original is moved or is too
+   large to send in one request */
+function getReportScopes(moveTo, size) {
+  return (moveTo && moveTo !== "none") || size > INLINE_REPORT_ATTACHMENT_LIMIT
+    ? REPORT_WRITE_SCOPES
+    : REPORT_SCOPES;
+}
+
+/* Expand the report subject template. Tokens: {subject}, {from}, {date}, {reporter} */
+function buildReportSubject(template, details) {
+  return (template || DEFAULT_SETTINGS.reportSubjectTemplate)
+    .replace(/\{(\w+)\}/g, (match, token) => details[token] !== undefined ? details[token] : match)
+    .replace(/[\r\n]+/g, " ")
+    .trim();
+}
+
+/* Plain-text body of the report: the reporter's comment, then what the team needs to find the message */
+function buildReportBody(details, comment, warnings) {
+  return [
+    comment ? `Comment from the reporter:\n${comment}\n` : "",
+    `Reported by: ${details.reporter}`,
+    `From: ${details.from}`,
+    `Subject: ${details.subject}`,
+    `Date: ${details.date}`,
+    `Message-ID: ${details.messageId}`,
+    `Mailbox: ${details.mailbox}`,
+    `Exported with: ${details.method}`,
+    `SHA-256 of the attached message: ${details.sha256}`,
+    warnings ? `\n${warnings}` : ""
+  ].filter(Boolean).join("\n");
+}
+
+/* Read the details of a downloaded message that go into the report */
+async function getReportDetails(result) {
+  const headers = await readMimeHeaders(result.blob);
+  const from = getAddressHeader(headers, "From")[0];
+  return {
+    subject: getHeaderValue(headers, "Subject") || "(No Subject)",
+    from: from ? (from.name ? `${from.name} <${from.address}>` : from.address) : "(unknown)",
+    date: getHeaderValue(headers, "Date"),
+    messageId: getRawHeaderValue(headers, "Message-ID"),
+    reporter: Office.context.mailbox.userProfile?.emailAddress || "",
+    mailbox: result.mailbox || "",
+    method: result.methodLabel,
+    sha256: await sha256Hex(result.blob)
+  };
+}
+
+/* Send the report from the user's own mailbox and return the details it was sent with */
+async function sendSecurityReport(session, result, filename, options, onProgress) {
+  const details = await getReportDetails(result);
+  const message = {
+    subject: buildReportSubject(options.subjectTemplate, details),
+    body: { contentType: "Text", content: buildReportBody(details, options.comment, describeDownloadWarnings(result)) },
+    toRecipients: [{ emailAddress: { address: options.recipient } }]
+  };
+  const jsonHeaders = { "Content-Type": "application/json" };
+
+  if (result.blob.size <= INLINE_REPORT_ATTACHMENT_LIMIT) {
+    message.attachments = [{
+      "@odata.type": "#microsoft.graph.fileAttachment",
+      name: filename,
+      contentType: "message/rfc822",
+      contentBytes: btoa(bytesToBinary(new Uint8Array(await result.blob.arrayBuffer())))
+    }];
+    // A retried send could reach the security team twice
+    await graphFetch(session, `${GRAPH_BASE_URL}/me/sendMail`, {
+      method: "POST",
+      noRetry: true,
+      headers: jsonHeaders,
+      body: JSON.stringify({ message: message, saveToSentItems: true })
+    });
+    onProgress(result.blob.size, result.blob.size);
+    return { ...details, reportSubject: message.subject };
+  }
+
+  const draftResponse = await graphFetch(session, `${GRAPH_BASE_URL}/me/messages`, {
+    method: "POST",
+    headers: jsonHeaders,
+    body: JSON.stringify(message)
+  });
+  const draftUrl = `${GRAPH_BASE_URL}/me/messages/${encodeURIComponent((await draftResponse.json()).id)}`;
+
+  try {
+    const sessionResponse = await graphFetch(session, `${draftUrl}/attachments/createUploadSession`, {
+      method: "POST",
+      headers: jsonHeaders,
+      body: JSON.stringify({
+        AttachmentItem: { attachmentType: "file", name: filename, size: result.blob.size, contentType: "message/rfc822" }
+      })
+    });
+    const { uploadUrl } = await sessionResponse.json();
+    await sendUploadSessionChunks(session, uploadUrl, result.blob, REPORT_ATTACHMENT_CHUNK_SIZE, onProgress);
+    await graphFetch(session, `${draftUrl}/send`, { method: "POST", noRetry: true });
+  } catch (error) {
+    // Do not leave a half-built report in the user's Drafts, even when the report was cancelled
+    fetch(draftUrl, { method: "DELETE", headers: { "Authorization": `Bearer ${session.accessToken}` } }).catch(() => {});
+    throw error;
+  }
+
+  return { ...details, reportSubject: message.subject };
+}
+
+/* Move the reported original to a well-known folder such as junkemail or deleteditems */
+async function moveReportedMessage(session, graphItemId, destination) {
+  const response = await graphFetch(session, `${getMailboxUrl(session)}/messages/${encodeURIComponent(graphItemId)}/move`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ destinationId: destination })
+  });
+  return response.json();
+}
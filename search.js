@@ -0,0 +1,185 @@
+/* Query-driven bulk export: build a Graph query from the search panel, preview how many messages
+   match, then list them page by page for export */
+
+/* Messages downloaded at the same time; more only trades throttling for speed */
+const SEARCH_EXPORT_CONCURRENCY = 3;
+
+/* Graph returns at most 1000 messages for a $search, so exports stop there for $filter too */
+const SEARCH_RESULT_LIMIT = 1000;
+
+const SEARCH_PAGE_SIZE = 100;
+
+/* The listing also reads each message's size (PR_MESSAGE_SIZE) for the large export warning */
+const SEARCH_SELECT = "$select=id,subject,sender,receivedDateTime,hasAttachments" +
+  "&$expand=singleValueExtendedProperties($filter=id eq 'Integer 0x0E08')";
+
+/* The local midnight that starts a yyyy-MM-dd date input, moved by addDays */
+function getLocalDay(value, addDays) {
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(year, month - 1, day + (addDays || 0));
+}
+
+/* Format a date as yyyy-MM-dd in local time, as KQL date comparisons expect */
+function formatLocalDay(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/* Keep quotes and backslashes out of KQL, which Graph takes inside a quoted $search value */
+function cleanSearchTerm(value) {
+  return value.replace(/["\\]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/* A sender is matched exactly with $filter when it is a full address, otherwise through $search */
+function isFullAddress(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+/* Build the Graph query for the search criteria {dateFrom, dateTo, from, hasAttachments, folderId,
+   keyword}; dates are yyyy-MM-dd and both ends of the range are inclusive.
+   Graph does not accept $search together with $filter on messages, so a keyword or a partial sender
+   turns the whole query into KQL, which is then sorted by Graph instead of oldest first. */
+function buildMessageQuery(criteria) {
+  const keyword = cleanSearchTerm(criteria.keyword || "");
+  const from = (criteria.from || "").trim();
+  const path = criteria.folderId ? `/mailFolders/${encodeURIComponent(criteria.folderId)}/messages` : "/messages";
+  const usesSearch = Boolean(keyword) || (Boolean(from) && !isFullAddress(from));
+
+  if (criteria.dateFrom && criteria.dateTo && criteria.dateFrom > criteria.dateTo) {
+    throw new Error("The start date is after the end date");
+  }
+
+  if (usesSearch) {
+    const terms = [];
+    if (keyword) {
+      terms.push(keyword);
+    }
+    if (from) {
+      terms.push(`from:${cleanSearchTerm(from)}`);
+    }
+    if (criteria.dateFrom) {
+      terms.push(`received>=${criteria.dateFrom}`);
+    }
+    if (criteria.dateTo) {
+      terms.push(`received<${formatLocalDay(getLocalDay(criteria.dateTo, 1))}`);
+    }
+    if (criteria.hasAttachments) {
+      terms.push("hasAttachments:true");
+    }
+    return { path: path, search: terms.join(" AND "), filter: "", usesSearch: true };
+  }
+
+  // receivedDateTime comes first so Graph accepts ordering by it
+  const clauses = [];
+  if (criteria.dateFrom) {
+    clauses.push(`receivedDateTime ge ${getLocalDay(criteria.dateFrom).toISOString()}`);
+  }
+  if (criteria.dateTo) {
+    clauses.push(`receivedDateTime lt ${getLocalDay(criteria.dateTo, 1).toISOString()}`);
+  }
+  if (from) {
+    clauses.push(`from/emailAddress/address eq '${from.replace(/'/g, "''")}'`);
+  }
+  if (criteria.hasAttachments) {
+    clauses.push("hasAttachments eq true");
+  }
+  return { path: path, search: "", filter: clauses.join(" and "), usesSearch: false };
+}
+
+/* Describe a query in one line for the status and the export summary */
+function describeMessageQuery(query) {
+  if (query.usesSearch) {
+    return `$search "${query.search}"`;
+  }
+  return query.filter ? `$filter ${query.filter}` : "all messages";
+}
+
+/* Build the request URL of a query; extra holds more query options such as "$top=1" */
+function getMessageQueryUrl(session, query, extra) {
+  const options = [];
+  if (query.search) {
+    options.push(`$search=${encodeURIComponent(`"${query.search}"`)}`);
+  }
+  if (query.filter) {
+    options.push(`$filter=${encodeURIComponent(query.filter)}`);
+    if (query.filter.startsWith("receivedDateTime")) {
+      options.push("$orderby=receivedDateTime asc");
+    }
+  }
+  options.push(extra);
+  return `${getMailboxUrl(session)}${query.path}?${options.join("&")}`;
+}
+
+/* Fetch one page of query results */
+async function fetchMessageQueryPage(session, url) {
+  const response = await graphFetch(session, url, {
+    headers: {
+      "Accept": "application/json"
+    }
+  });
+  return response.json();
+}
+
+/* Count the messages a query matches. $filter queries get an exact @odata.count; $search does not
+   support $count, so its ids are paged through up to the result limit.
+   Returns {count, capped}, where capped means there are more than the limit. */
+async function countMessageQuery(session, query) {
+  if (!query.usesSearch) {
+    const page = await fetchMessageQueryPage(session, getMessageQueryUrl(session, query, "$count=true&$select=id&$top=1"));
+    if (typeof page["@odata.count"] === "number") {
+      return { count: page["@odata.count"], capped: page["@odata.count"] > SEARCH_RESULT_LIMIT };
+    }
+  }
+
+  let count = 0;
+  let nextUrl = getMessageQueryUrl(session, query, `$select=id&$top=${SEARCH_PAGE_SIZE}`);
+  while (nextUrl && count < SEARCH_RESULT_LIMIT) {
+    const page = await fetchMessageQueryPage(session, nextUrl);
+    count += page.value.length;
+    nextUrl = page["@odata.nextLink"];
+  }
+  return { count: Math.min(count, SEARCH_RESULT_LIMIT), capped: Boolean(nextUrl) || count > SEARCH_RESULT_LIMIT };
+}
+
+/* List the messages of a query by following @odata.nextLink, up to the result limit.
+   Each message gets its size in bytes, or null when it is unknown. */
+async function listMessageQuery(session, query, onPage) {
+  const messages = [];
+  let nextUrl = getMessageQueryUrl(session, query, `${SEARCH_SELECT}&$top=${SEARCH_PAGE_SIZE}`);
+
+  while (nextUrl && messages.length < SEARCH_RESULT_LIMIT) {
+    const page = await fetchMessageQueryPage(session, nextUrl);
+    page.value.forEach((message) => {
+      const size = parseInt(message.singleValueExtendedProperties?.[0]?.value, 10);
+      messages.push({ ...message, size: isNaN(size) ? null : size });
+    });
+    nextUrl = page["@odata.nextLink"];
+    if (onPage) {
+      onPage(messages.length);
+    }
+  }
+
+  return { messages: messages.slice(0, SEARCH_RESULT_LIMIT), capped: Boolean(nextUrl) || messages.length > SEARCH_RESULT_LIMIT };
+}
+
+/* Run worker(item, index) over items with at most limit calls in flight. The first error stops
+   new work from starting and is rethrown once the running calls have settled. */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  let failure = null;
+
+  const runNext = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  if (failure) {
+    throw failure;
+  }
+}
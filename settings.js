@@ -0,0 +1,75 @@
+/* User settings stored in Outlook roaming settings, so they follow the user across clients */
+
+const SETTINGS_KEY = "settings";
+
+/* Defaults; an empty methodOrder means the order declared in DOWNLOAD_METHODS */
+const DEFAULT_SETTINGS = {
+  autoStart: true,
+  methodOrder: [],
+  defaultFormat: "eml",
+  filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+  previewBeforeSave: true,
+  custodySidecar: false,
+  calendarIncludeMime: false,
+  largeMessageWarningMb: 25,
+  destination: "download",
+  uploadFolder: "Email Exports",
+  uploadDriveId: "",
+  uploadConflictBehavior: "rename",
+  redactedCopy: false,
+  redactBcc: true,
+  redactInternalHeaders: true,
+  redactRemoteImages: true,
+  redactPseudonymize: false,
+  reportRecipient: "",
+  reportSubjectTemplate: "[Suspicious email] {subject}",
+  reportMoveTo: "none"
+};
+
+let currentSettings = null;
+
+/* Read the settings, filling in defaults for anything not saved yet */
+function getSettings() {
+  if (currentSettings) {
+    return currentSettings;
+  }
+
+  let saved = {};
+  try {
+    saved = Office.context.roamingSettings.get(SETTINGS_KEY) || {};
+  } catch (error) {
+    // Roaming settings are unavailable outside Outlook; defaults apply
+  }
+
+  currentSettings = { ...DEFAULT_SETTINGS, ...saved };
+  return currentSettings;
+}
+
+/* Write the roaming settings back to the mailbox */
+function persistRoamingSettings() {
+  return new Promise((resolve, reject) => {
+    Office.context.roamingSettings.saveAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve();
+      } else {
+        reject(new Error(`Could not save settings: ${result.error.message}`));
+      }
+    });
+  });
+}
+
+/* Save new settings */
+async function saveSettings(settings) {
+  currentSettings = { ...DEFAULT_SETTINGS, ...settings };
+  Office.context.roamingSettings.set(SETTINGS_KEY, currentSettings);
+  await persistRoamingSettings();
+  return currentSettings;
+}
+
+/* Remove saved settings so the defaults apply again */
+async function resetSettings() {
+  currentSettings = { ...DEFAULT_SETTINGS };
+  Office.context.roamingSettings.remove(SETTINGS_KEY);
+  await persistRoamingSettings();
+  return currentSettings;
+}
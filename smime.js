@@ -0,0 +1,432 @@
+/* Signed, encrypted and rights-protected (IRM) messages: detection, and a local check of
+   S/MIME detached signatures. Protected messages are only ever exported as their original MIME. */
+
+/* Message classes Exchange gives to S/MIME and IRM items */
+const PROTECTED_MESSAGE_CLASSES = [
+  { pattern: /^IPM\.Note\.SMIME\.MultipartSigned/i, kind: "signed", label: "S/MIME signed message" },
+  { pattern: /^IPM\.Note\.SMIME/i, kind: "encrypted", label: "S/MIME encrypted or opaque-signed message" },
+  { pattern: /^IPM\.Note\.rpmsg/i, kind: "irm", label: "Rights-protected (IRM) message" }
+];
+
+/* Object identifiers used by CMS signatures and X.509 certificates */
+const OIDS = {
+  signedData: "1.2.840.113549.1.7.2",
+  messageDigest: "1.2.840.113549.1.9.4",
+  signingTime: "1.2.840.113549.1.9.5",
+  subjectKeyIdentifier: "2.5.29.14",
+  subjectAltName: "2.5.29.17",
+  ecPublicKey: "1.2.840.10045.2.1"
+};
+
+/* Digest algorithms by OID, named as WebCrypto expects them */
+const DIGEST_ALGORITHMS = {
+  "1.3.14.3.2.26": "SHA-1",
+  "2.16.840.1.101.3.4.2.1": "SHA-256",
+  "2.16.840.1.101.3.4.2.2": "SHA-384",
+  "2.16.840.1.101.3.4.2.3": "SHA-512"
+};
+
+/* Signature algorithms that can be checked; others are reported as unsupported */
+const SIGNATURE_ALGORITHMS = {
+  "1.2.840.113549.1.1.1": "RSASSA-PKCS1-v1_5",
+  "1.2.840.113549.1.1.5": "RSASSA-PKCS1-v1_5",
+  "1.2.840.113549.1.1.11": "RSASSA-PKCS1-v1_5",
+  "1.2.840.113549.1.1.12": "RSASSA-PKCS1-v1_5",
+  "1.2.840.113549.1.1.13": "RSASSA-PKCS1-v1_5",
+  "1.2.840.10045.4.1": "ECDSA",
+  "1.2.840.10045.4.3.2": "ECDSA",
+  "1.2.840.10045.4.3.3": "ECDSA",
+  "1.2.840.10045.4.3.4": "ECDSA"
+};
+
+/* Named curves and the byte length of their coordinates */
+const EC_CURVES = {
+  "1.2.840.10045.3.1.7": { name: "P-256", size: 32 },
+  "1.3.132.0.34": { name: "P-384", size: 48 },
+  "1.3.132.0.35": { name: "P-521", size: 66 }
+};
+
+/* Short names of the distinguished name attributes shown for certificates */
+const NAME_ATTRIBUTES = {
+  "2.5.4.3": "CN",
+  "2.5.4.6": "C",
+  "2.5.4.7": "L",
+  "2.5.4.8": "ST",
+  "2.5.4.10": "O",
+  "2.5.4.11": "OU",
+  "1.2.840.113549.1.9.1": "E"
+};
+
+/* ASN.1 nesting deeper than this is rejected, so crafted signatures cannot exhaust the stack */
+const MAX_DER_DEPTH = 32;
+
+/* Describe the protection of a message from its top-level MIME headers, or null if it has none */
+function detectMimeProtection(headers) {
+  const contentType = parseHeaderParameters(getRawHeaderValue(headers, "Content-Type") || "text/plain");
+  const contentClass = getRawHeaderValue(headers, "Content-Class").trim().toLowerCase();
+
+  if (contentType.value === "multipart/signed") {
+    const protocol = (contentType.params.protocol || "").toLowerCase();
+    return /pkcs7-signature/.test(protocol)
+      ? { kind: "signed", label: "S/MIME signed message (detached signature)" }
+      : { kind: "other-signed", label: `Signed message (${protocol || "unknown protocol"})` };
+  }
+  if (contentType.value === "application/pkcs7-mime" || contentType.value === "application/x-pkcs7-mime") {
+    const smimeType = (contentType.params["smime-type"] || "").toLowerCase();
+    return smimeType === "signed-data"
+      ? { kind: "opaque-signed", label: "S/MIME opaque-signed message" }
+      : { kind: "encrypted", label: "S/MIME encrypted message" };
+  }
+  if (contentType.value === "multipart/encrypted") {
+    return { kind: "encrypted", label: "Encrypted message (PGP/MIME)" };
+  }
+  if (contentClass.startsWith("rpmsg.message")) {
+    return { kind: "irm", label: "Rights-protected (IRM) message" };
+  }
+  return null;
+}
+
+/* Describe the protection of a message from its Exchange message class and the transport
+   headers Graph returns, for methods that never see the MIME */
+function detectMessageClassProtection(messageClass, headers) {
+  const known = PROTECTED_MESSAGE_CLASSES.find(entry => entry.pattern.test(messageClass || ""));
+  return known ? { kind: known.kind, label: known.label } : detectMimeProtection(headers);
+}
+
+/* Parse one DER element (BER indefinite lengths are accepted) starting at offset */
+function parseDer(bytes, offset = 0, depth = 0) {
+  if (depth > MAX_DER_DEPTH || offset + 2 > bytes.length) {
+    throw new Error("Malformed ASN.1 data");
+  }
+
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let contentStart = offset + 2;
+  const element = { tag: tag, start: offset, bytes: bytes };
+
+  if (length === 0x80) {
+    // Indefinite length: children follow until an end-of-contents marker
+    element.contentStart = contentStart;
+    element.children = [];
+    let position = contentStart;
+    while (bytes[position] !== 0 || bytes[position + 1] !== 0) {
+      const child = parseDer(bytes, position, depth + 1);
+      element.children.push(child);
+      position = child.end;
+    }
+    element.contentEnd = position;
+    element.end = position + 2;
+    return element;
+  }
+
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count > 4) {
+      throw new Error("Malformed ASN.1 data");
+    }
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + bytes[contentStart + i];
+    }
+    contentStart += count;
+  }
+
+  element.contentStart = contentStart;
+  element.contentEnd = contentStart + length;
+  element.end = element.contentEnd;
+  if (element.end > bytes.length) {
+    throw new Error("Truncated ASN.1 data");
+  }
+
+  if (tag & 0x20) {
+    element.children = [];
+    let position = contentStart;
+    while (position < element.contentEnd) {
+      const child = parseDer(bytes, position, depth + 1);
+      element.children.push(child);
+      position = child.end;
+    }
+  }
+  return element;
+}
+
+/* The complete encoding of an element, tag and length included */
+function getDerEncoding(element) {
+  return element.bytes.subarray(element.start, element.end);
+}
+
+/* The content octets of an element */
+function getDerContent(element) {
+  return element.bytes.subarray(element.contentStart, element.contentEnd);
+}
+
+/* Decode an OBJECT IDENTIFIER element to its dotted form */
+function decodeOid(element) {
+  const content = getDerContent(element);
+  const arcs = [];
+  let value = 0;
+  content.forEach((byte) => {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      if (arcs.length === 0) {
+        const first = Math.min(Math.floor(value / 40), 2);
+        arcs.push(first, value - first * 40);
+      } else {
+        arcs.push(value);
+      }
+      value = 0;
+    }
+  });
+  return arcs.join(".");
+}
+
+/* Decode a string element: UTF8String, BMPString or one of the single-byte string types */
+function decodeDerString(element) {
+  const content = getDerContent(element);
+  if (element.tag === 0x0c) {
+    return new TextDecoder("utf-8").decode(content);
+  }
+  if (element.tag === 0x1e) {
+    return new TextDecoder("utf-16be").decode(content);
+  }
+  return bytesToBinary(content);
+}
+
+/* Decode a UTCTime or GeneralizedTime element */
+function decodeDerTime(element) {
+  const text = bytesToBinary(getDerContent(element));
+  const match = (element.tag === 0x17 ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/ : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\.\d+)?Z$/).exec(text);
+  if (!match) {
+    return null;
+  }
+  let year = Number(match[1]);
+  if (element.tag === 0x17) {
+    // RFC 5280: two-digit years 50-99 are 19xx, 00-49 are 20xx
+    year += year >= 50 ? 1900 : 2000;
+  }
+  return new Date(Date.UTC(year, Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]), Number(match[6] || 0)));
+}
+
+/* Format a distinguished name, most specific attribute first */
+function decodeDerName(element) {
+  const attributes = [];
+  (element.children || []).forEach((set) => {
+    (set.children || []).forEach((attribute) => {
+      const oid = decodeOid(attribute.children[0]);
+      attributes.push(`${NAME_ATTRIBUTES[oid] || oid}=${decodeDerString(attribute.children[1])}`);
+    });
+  });
+  return attributes.reverse().join(", ");
+}
+
+/* Format bytes as hex */
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/* Compare two byte arrays */
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((byte, index) => byte === b[index]);
+}
+
+/* Read the details of an X.509 certificate needed to show the signer and check the signature */
+function parseCertificate(element) {
+  const tbs = element.children[0].children;
+  // The version field is optional and explicitly tagged [0]
+  const fields = tbs[0].tag === 0xa0 ? tbs.slice(1) : tbs;
+  const [serial, , issuer, validity, subject, publicKeyInfo] = fields;
+  const keyAlgorithm = publicKeyInfo.children[0].children;
+  const certificate = {
+    der: getDerEncoding(element),
+    serialNumber: bytesToHex(getDerContent(serial)),
+    serialBytes: getDerContent(serial),
+    issuer: decodeDerName(issuer),
+    issuerBytes: getDerEncoding(issuer),
+    subject: decodeDerName(subject),
+    notBefore: decodeDerTime(validity.children[0]),
+    notAfter: decodeDerTime(validity.children[1]),
+    publicKeyInfo: getDerEncoding(publicKeyInfo),
+    keyAlgorithm: decodeOid(keyAlgorithm[0]),
+    curve: keyAlgorithm[1] && keyAlgorithm[1].tag === 0x06 ? decodeOid(keyAlgorithm[1]) : null,
+    subjectKeyId: null,
+    emails: []
+  };
+
+  const extensions = fields.find(field => field.tag === 0xa3);
+  (extensions ? extensions.children[0].children : []).forEach((extension) => {
+    const oid = decodeOid(extension.children[0]);
+    const value = extension.children[extension.children.length - 1];
+    if (oid === OIDS.subjectKeyIdentifier) {
+      certificate.subjectKeyId = getDerContent(parseDer(getDerContent(value)));
+    } else if (oid === OIDS.subjectAltName) {
+      // rfc822Name entries ([1] IMPLICIT IA5String) are the signer's email addresses
+      (parseDer(getDerContent(value)).children || []).filter(name => name.tag === 0x81).forEach((name) => {
+        certificate.emails.push(bytesToBinary(getDerContent(name)));
+      });
+    }
+  });
+
+  return certificate;
+}
+
+/* Convert a DER ECDSA signature (SEQUENCE of r and s) to the fixed-size form WebCrypto verifies */
+function ecdsaSignatureToRaw(signature, size) {
+  const sequence = parseDer(signature);
+  const raw = new Uint8Array(size * 2);
+  sequence.children.forEach((integer, index) => {
+    let value = getDerContent(integer);
+    while (value.length > size && value[0] === 0) {
+      value = value.subarray(1);
+    }
+    raw.set(value, (index + 1) * size - value.length);
+  });
+  return raw;
+}
+
+/* Split a multipart/signed message into the signed entity, exactly as transmitted, and its signature */
+function splitSignedMessage(binary) {
+  const separator = /\r?\n\r?\n/.exec(binary);
+  if (!separator) {
+    throw new Error("The message has no body");
+  }
+  const headers = parseMimeHeaders(binary.substring(0, separator.index));
+  const boundary = parseHeaderParameters(getRawHeaderValue(headers, "Content-Type")).params.boundary;
+  const parts = boundary ? splitMultipartBody(binary.substring(separator.index + separator[0].length), boundary).parts : [];
+  if (parts.length < 2) {
+    throw new Error("The signed message does not have both content and signature parts");
+  }
+
+  const signaturePart = parseMimeEntity(parts[1]);
+  return {
+    // RFC 5751: the signature covers the entity in canonical form, with CRLF line breaks
+    content: binaryToBytes(parts[0].replace(/\r?\n/g, "\r\n")),
+    signature: binaryToBytes(decodeTransferEncoding(signaturePart.body || "", signaturePart.encoding))
+  };
+}
+
+/* Check the detached S/MIME signature of a multipart/signed message. Verifies that the content
+   matches the signature and that the signature was made with the included signer certificate.
+   The certificate chain, trust and revocation are not checked: there is no trust store here. */
+async function checkDetachedSignature(blob) {
+  const check = { status: "error", reason: "", signer: null, signingTime: null, digestAlgorithm: null, certificateValid: null };
+
+  try {
+    const signed = splitSignedMessage(bytesToBinary(new Uint8Array(await blob.arrayBuffer())));
+    const contentInfo = parseDer(signed.signature);
+    if (decodeOid(contentInfo.children[0]) !== OIDS.signedData) {
+      throw new Error("The signature is not CMS SignedData");
+    }
+
+    const signedData = contentInfo.children[1].children[0].children;
+    const certificateSet = signedData.find(field => field.tag === 0xa0);
+    const certificates = (certificateSet ? certificateSet.children : []).filter(cert => cert.tag === 0x30).map(parseCertificate);
+    const signerInfo = signedData[signedData.length - 1].children[0];
+    if (!signerInfo) {
+      throw new Error("The signature has no signer");
+    }
+
+    const [, signerId, digestAlgorithm, ...rest] = signerInfo.children;
+    const signedAttributes = rest[0].tag === 0xa0 ? rest.shift() : null;
+    const [signatureAlgorithm, signatureValue] = rest;
+
+    const signer = signerId.tag === 0x80
+      ? certificates.find(cert => cert.subjectKeyId && bytesEqual(cert.subjectKeyId, getDerContent(signerId)))
+      : certificates.find(cert => bytesEqual(cert.issuerBytes, getDerEncoding(signerId.children[0])) &&
+          bytesEqual(cert.serialBytes, getDerContent(signerId.children[1])));
+    if (!signer) {
+      throw new Error("The signer certificate is not included in the signature");
+    }
+    check.signer = {
+      subject: signer.subject,
+      issuer: signer.issuer,
+      serialNumber: signer.serialNumber,
+      emails: signer.emails,
+      notBefore: signer.notBefore,
+      notAfter: signer.notAfter,
+      sha256Fingerprint: bytesToHex(new Uint8Array(await crypto.subtle.digest("SHA-256", signer.der)))
+    };
+
+    const hash = DIGEST_ALGORITHMS[decodeOid(digestAlgorithm.children[0])];
+    const algorithm = SIGNATURE_ALGORITHMS[decodeOid(signatureAlgorithm.children[0])];
+    if (!hash || !algorithm) {
+      check.status = "unsupported";
+      check.reason = "The signature uses an algorithm this check does not support.";
+      return check;
+    }
+    check.digestAlgorithm = hash;
+
+    const contentDigest = new Uint8Array(await crypto.subtle.digest(hash, signed.content));
+    let signedBytes = signed.content;
+
+    if (signedAttributes) {
+      let messageDigest = null;
+      signedAttributes.children.forEach((attribute) => {
+        const oid = decodeOid(attribute.children[0]);
+        const value = attribute.children[1].children[0];
+        if (oid === OIDS.messageDigest) {
+          messageDigest = getDerContent(value);
+        } else if (oid === OIDS.signingTime) {
+          check.signingTime = decodeDerTime(value);
+        }
+      });
+      if (!messageDigest || !bytesEqual(messageDigest, contentDigest)) {
+        check.status = "invalid";
+        check.reason = "The message content does not match the signature; it was changed after signing.";
+        return check;
+      }
+      // The signature covers the attributes encoded as a SET rather than with their [0] tag
+      signedBytes = new Uint8Array(getDerEncoding(signedAttributes));
+      signedBytes[0] = 0x31;
+    }
+
+    let importAlgorithm = { name: algorithm, hash: hash };
+    let signature = getDerContent(signatureValue);
+    if (algorithm === "ECDSA") {
+      const curve = signer.keyAlgorithm === OIDS.ecPublicKey ? EC_CURVES[signer.curve] : null;
+      if (!curve) {
+        check.status = "unsupported";
+        check.reason = "The signer certificate uses an elliptic curve this check does not support.";
+        return check;
+      }
+      importAlgorithm = { name: "ECDSA", namedCurve: curve.name };
+      signature = ecdsaSignatureToRaw(signature, curve.size);
+    }
+
+    const key = await crypto.subtle.importKey("spki", signer.publicKeyInfo, importAlgorithm, false, ["verify"]);
+    const verified = await crypto.subtle.verify({ name: algorithm, hash: hash }, key, signature, signedBytes);
+
+    const checkedAt = check.signingTime || new Date();
+    check.certificateValid = (!signer.notBefore || checkedAt >= signer.notBefore) && (!signer.notAfter || checkedAt <= signer.notAfter);
+    check.status = verified ? "valid" : "invalid";
+    check.reason = verified
+      ? "The content matches the signature, made with the signer certificate below."
+      : "The signature was not made with the signer certificate's key, or the signed attributes were changed.";
+  } catch (error) {
+    check.status = "error";
+    check.reason = `The signature could not be read: ${error.message}`;
+  }
+
+  return check;
+}
+
+/* Describe a signature check for the pane */
+function describeSignatureCheck(check) {
+  const icons = { valid: "✅", invalid: "❌", unsupported: "⚠️", error: "⚠️" };
+  const lines = [`${icons[check.status]} S/MIME signature ${check.status}: ${check.reason}`];
+  const formatDate = (date) => date ? date.toISOString().substring(0, 10) : "?";
+
+  if (check.signer) {
+    lines.push(`Signer: ${check.signer.subject}${check.signer.emails.length ? ` (${check.signer.emails.join(", ")})` : ""}`);
+    lines.push(`Issued by: ${check.signer.issuer}`);
+    lines.push(`Serial: ${check.signer.serialNumber}, valid ${formatDate(check.signer.notBefore)} to ${formatDate(check.signer.notAfter)}`);
+    lines.push(`SHA-256 fingerprint: ${check.signer.sha256Fingerprint}`);
+  }
+  if (check.signingTime) {
+    lines.push(`Signed: ${check.signingTime.toISOString()}`);
+  }
+  if (check.certificateValid === false) {
+    lines.push(`⚠️ The certificate was not valid ${check.signingTime ? "at the signing time" : "today"}.`);
+  }
+  lines.push("The certificate chain, trust and revocation are not checked.");
+  return lines.join("\n");
+}
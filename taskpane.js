@@ -1,245 +1,300 @@
-/* Azure AD MSAL config */
-const msalConfig = {
-  auth: {
-    clientId: "10f65a22-c90e-44bc-9c3f-dbb90c8d6a92",
-    redirectUri: "https://alvar0murga.github.io/download-email-eml/"
-  },
-  cache: {
-    cacheLocation: "sessionStorage",
-    storeAuthStateInCookie: false,
-  }
-};
-
-let msalInstance = null;
 let isDownloading = false;
 
-/* Start MSAL - Create and initialize instance */
-async function initializeMsal() {
-  if (msalInstance) {
-    return msalInstance;
+/* Aborts the running export when the user presses Cancel */
+let exportController = null;
+
+/* Add links to uploaded files below the status message */
+function showUploadedFiles(statusDiv, uploadedItems) {
+  if (!statusDiv) {
+    return;
   }
-  
-  try {
-    msalInstance = new msal.PublicClientApplication(msalConfig);
-    await msalInstance.initialize();
-    return msalInstance;
-  } catch (error) {
-    msalInstance = null;
-    throw error;
+
+  uploadedItems.filter(Boolean).forEach((item) => {
+    const link = document.createElement('a');
+    link.href = item.webUrl;
+    link.target = "_blank";
+    link.textContent = `☁️ ${item.name}`;
+    link.style.color = '#0078d4';
+    link.style.display = 'block';
+    link.style.marginTop = '10px';
+    statusDiv.appendChild(link);
+  });
+}
+
+/* Create the AbortController for a new export and show the Cancel button */
+function startCancellableExport() {
+  exportController = new AbortController();
+  const cancelBtn = document.getElementById("cancelBtn");
+  if (cancelBtn) {
+    cancelBtn.style.display = "block";
   }
+  return exportController.signal;
 }
 
-/* Sign in user with popup */
-async function signIn() {
-  if (!msalInstance) {
-    throw new Error("MSAL not initialized");
+/* Hide the Cancel button once an export has finished */
+function finishCancellableExport() {
+  exportController = null;
+  const cancelBtn = document.getElementById("cancelBtn");
+  if (cancelBtn) {
+    cancelBtn.style.display = "none";
   }
-  
-  const loginRequest = {
-    scopes: ["https://graph.microsoft.com/Mail.Read"]
-  };
+}
+
+/* Cancel the running export */
+function cancelExport() {
+  if (exportController) {
+    exportController.abort();
+  }
+}
 
+/* Read a message's size (PR_MESSAGE_SIZE) so large exports can be confirmed first; null if unknown */
+async function getMessageSize(session, itemId) {
   try {
-    const loginResponse = await msalInstance.loginPopup(loginRequest);
-    return loginResponse.account;
+    const response = await graphFetch(session, `${getMailboxUrl(session)}/messages/${encodeURIComponent(itemId)}?$select=id&$expand=singleValueExtendedProperties($filter=id eq 'Integer 0x0E08')`, {
+      headers: {
+        "Accept": "application/json"
+      }
+    });
+    const message = await response.json();
+    const size = parseInt(message.singleValueExtendedProperties?.[0]?.value, 10);
+    return isNaN(size) ? null : size;
   } catch (error) {
-    throw error;
+    if (error.code === "CANCELLED") {
+      throw error;
+    }
+    return null;
   }
 }
 
-/* Get access token silently or interactively */
-async function getToken() {
-  if (!msalInstance) {
-    await initializeMsal();
+/* Ask in the pane whether to go ahead; Outlook add-ins cannot use window.confirm */
+function confirmInPane(statusDiv, message, signal) {
+  return new Promise((resolve) => {
+    statusDiv.className = "error";
+    statusDiv.style.whiteSpace = "pre-wrap";
+    statusDiv.textContent = message;
+
+    const continueButton = document.createElement('button');
+    const cancelButton = document.createElement('button');
+    const answer = (value) => {
+      continueButton.remove();
+      cancelButton.remove();
+      resolve(value);
+    };
+
+    continueButton.textContent = "Continue";
+    continueButton.onclick = () => answer(true);
+    cancelButton.textContent = "Cancel";
+    cancelButton.onclick = () => answer(false);
+    signal?.addEventListener("abort", () => answer(false), { once: true });
+
+    statusDiv.appendChild(continueButton);
+    statusDiv.appendChild(cancelButton);
+  });
+}
+
+/* Confirm before exporting messages above the configured size; throws CANCELLED if declined */
+async function confirmLargeExport(accessToken, itemIds, statusDiv, signal) {
+  const limitMb = getSettings().largeMessageWarningMb;
+  if (!accessToken || !limitMb) {
+    return;
   }
-  
-  let account = msalInstance.getAllAccounts()[0];
-  if (!account) {
-    account = await signIn();
+
+  const session = createGraphSession(accessToken);
+  session.signal = signal;
+  session.mailboxPath = (await getMailboxContext()).path;
+  const sizes = [];
+  for (const itemId of itemIds) {
+    sizes.push(await getMessageSize(session, await resolveGraphMessageId(session, itemId)));
   }
 
-  const tokenRequest = {
-    scopes: ["https://graph.microsoft.com/Mail.Read"],
-    account: account
-  };
+  await confirmLargeSizes(sizes, statusDiv, signal);
+}
+
+/* Confirm before exporting when any of the given message sizes (null if unknown) is above the
+   configured warning size; throws CANCELLED if declined */
+async function confirmLargeSizes(sizes, statusDiv, signal) {
+  const limitMb = getSettings().largeMessageWarningMb;
+  const large = limitMb
+    ? sizes.filter(size => size !== null && size > limitMb * 1024 * 1024).map(size => formatFileSize(size))
+    : [];
+
+  if (large.length === 0) {
+    return;
+  }
+
+  const message = large.length === 1
+    ? `⚠️ This message is ${large[0]}, above the ${limitMb} MB warning size. It may take a while and use a lot of memory.\n`
+    : `⚠️ ${large.length} messages are above the ${limitMb} MB warning size (${large.join(", ")}). They may take a while and use a lot of memory.\n`;
+  if (!await confirmInPane(statusDiv, message, signal)) {
+    throw createDownloadError("CANCELLED");
+  }
+  statusDiv.className = "downloading";
+}
 
+/* Warn before exporting a message that is already in the export history; throws CANCELLED if declined */
+async function confirmDuplicateExport(item, statusDiv, signal) {
+  let previous;
   try {
-    const response = await msalInstance.acquireTokenSilent(tokenRequest);
-    return response.accessToken;
+    previous = await findHistoryEntries(item.internetMessageId);
   } catch (error) {
-    if (error instanceof msal.InteractionRequiredAuthError) {
-      const response = await msalInstance.acquireTokenPopup(tokenRequest);
-      return response.accessToken;
-    } else {
-      throw error;
-    }
+    // IndexedDB can be unavailable (for example in private browsing); export without the check
+    return;
+  }
+
+  if (previous.length === 0) {
+    return;
+  }
+
+  const last = previous[previous.length - 1];
+  const times = previous.length === 1 ? "once" : `${previous.length} times`;
+  const message = `⚠️ This message was already exported ${times}, last on ${new Date(last.exportedAt).toLocaleString()} as ${last.filename}. Export it again?\n`;
+  if (!await confirmInPane(statusDiv, message, signal)) {
+    throw createDownloadError("CANCELLED");
   }
+  statusDiv.className = "downloading";
 }
 
-/* Helper function to wait/delay */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/* Messages larger than this are previewed from their headers only, to keep the pane responsive */
+const PREVIEW_PARSE_LIMIT_BYTES = 50 * 1024 * 1024;
+
+/* Headers shown at the top of the preview */
+const PREVIEW_HEADERS = ["From", "To", "Cc", "Date", "Subject", "Message-ID"];
+
+/* Describe one part of the MIME tree for the preview */
+function describeMimePart(part) {
+  const filename = getPartFilename(part);
+  const details = [formatFileSize(part.size), part.encoding].filter(Boolean).join(", ");
+  return `${part.contentType}${filename ? ` "${filename}"` : ""} (${details})`;
 }
 
-/* Try multiple approaches to download email with detailed error reporting */
-async function downloadEmailWithRetry(accessToken, itemId, statusDiv) {
-  const graphItemId = encodeURIComponent(itemId);
-  let errorDetails = [];
-  
-  // Method 1: Try direct MIME download
-  try {
-    statusDiv.textContent = "⬇️ Method 1: Direct MIME download...";
-    
-    const response = await fetch(`https://graph.microsoft.com/v1.0/me/messages/${graphItemId}/$value`, {
-      headers: {
-        "Authorization": `Bearer ${accessToken}`,
-        "Accept": "message/rfc822"
-      }
-    });
+/* Render the MIME part tree as nested lists */
+function renderMimeTree(part, container) {
+  const listItem = document.createElement('li');
+  listItem.textContent = describeMimePart(part);
+  container.appendChild(listItem);
 
-    if (response.ok) {
-      const emlBlob = await response.blob();
-      return emlBlob;
-    } else {
-      const errorText = await response.text();
-      errorDetails.push(`Method 1 failed: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-  } catch (error) {
-    errorDetails.push(`Method 1 error: ${error.message}`);
+  const children = part.parts || (part.message ? [part.message] : []);
+  if (children.length > 0) {
+    const childList = document.createElement('ul');
+    children.forEach(child => renderMimeTree(child, childList));
+    listItem.appendChild(childList);
+  }
+}
+
+/* Build the document shown in the sandboxed body frame. Inline images referenced by cid:
+   are embedded as data: URLs; the policy blocks scripts and remote content such as tracking pixels. */
+function createPreviewDocument(root) {
+  const body = getMessageBody(root);
+  const policy = `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">`;
+  if (body.htmlPart) {
+    return policy + embedInlineImages(getPartText(body.htmlPart), body.inlineImages);
+  }
+  if (body.textPart) {
+    return `${policy}<pre style="white-space:pre-wrap;font-family:inherit">${escapeXml(getPartText(body.textPart))}</pre>`;
   }
+  return `${policy}<p><em>No displayable body</em></p>`;
+}
 
-  await delay(1000);
+/* Show a downloaded message in the preview and wait for Save or Cancel; resolves true to save.
+   Attachments picked to leave out of the redacted copy are recorded in result.droppedAttachments. */
+async function showMimePreview(result, signal) {
+  const previewView = document.getElementById("preview-view");
+  if (!previewView) {
+    return true;
+  }
 
-  // Method 2: Try getting message details first, then MIME
-  try {
-    statusDiv.textContent = "⬇️ Method 2: Metadata + MIME...";
-    
-    const metadataResponse = await fetch(`https://graph.microsoft.com/v1.0/me/messages/${graphItemId}`, {
-      headers: {
-        "Authorization": `Bearer ${accessToken}`,
-        "Accept": "application/json"
-      }
-    });
+  const isParsed = result.blob.size <= PREVIEW_PARSE_LIMIT_BYTES;
+  const root = isParsed
+    ? parseMimeEntity(bytesToBinary(new Uint8Array(await result.blob.arrayBuffer())))
+    : { headers: await readMimeHeaders(result.blob) };
 
-    if (metadataResponse.ok) {
-      const metadata = await metadataResponse.json();
-      
-      const mimeResponse = await fetch(`https://graph.microsoft.com/v1.0/me/messages/${metadata.id}/$value`, {
-        headers: {
-          "Authorization": `Bearer ${accessToken}`,
-          "Accept": "message/rfc822"
-        }
-      });
+  const warnings = describeDownloadWarnings(result);
+  document.getElementById("previewSummary").textContent =
+    `${result.methodLabel} - ${formatFileSize(result.blob.size)}` + (warnings ? `\n${warnings}` : "") +
+    (isParsed ? "" : "\nToo large to preview the body; only the headers are shown.");
+  document.getElementById("previewSignature").textContent = result.signatureCheck ? describeSignatureCheck(result.signatureCheck) : "";
 
-      if (mimeResponse.ok) {
-        const emlBlob = await mimeResponse.blob();
-        return emlBlob;
-      } else {
-        const errorText = await mimeResponse.text();
-        errorDetails.push(`Method 2 MIME failed: ${mimeResponse.status} ${mimeResponse.statusText} - ${errorText}`);
-      }
-    } else {
-      const errorText = await metadataResponse.text();
-      errorDetails.push(`Method 2 metadata failed: ${metadataResponse.status} ${metadataResponse.statusText} - ${errorText}`);
+  const headerTable = document.getElementById("previewHeaders");
+  headerTable.innerHTML = "";
+  PREVIEW_HEADERS.forEach((name) => {
+    const value = getHeaderValue(root.headers, name);
+    if (value) {
+      const row = headerTable.insertRow();
+      row.insertCell().textContent = name;
+      row.insertCell().textContent = value;
     }
-  } catch (error) {
-    errorDetails.push(`Method 2 error: ${error.message}`);
-  }
+  });
+  document.getElementById("previewAllHeaders").textContent =
+    root.headers.map(([name, value]) => `${name}: ${decodeHeaderText(value)}`).join("\n");
 
-  await delay(1000);
+  const tree = document.getElementById("previewTree");
+  const attachmentList = document.getElementById("previewAttachments");
+  const bodyFrame = document.getElementById("previewBody");
+  tree.innerHTML = "";
+  attachmentList.innerHTML = "";
 
-  // Method 3: Create EML from JSON data
-  try {
-    statusDiv.textContent = "⬇️ Method 3: JSON to EML conversion...";
-    
-    const fullResponse = await fetch(`https://graph.microsoft.com/v1.0/me/messages/${graphItemId}?$select=subject,body,sender,toRecipients,ccRecipients,bccRecipients,receivedDateTime,internetMessageHeaders`, {
-      headers: {
-        "Authorization": `Bearer ${accessToken}`,
-        "Accept": "application/json"
+  // With a redacted copy turned on, each attachment can be left out of that copy
+  const dropCheckboxes = [];
+  if (isParsed) {
+    renderMimeTree(root, tree);
+    getAttachmentParts(root).forEach((part) => {
+      const listItem = document.createElement('li');
+      const name = getPartFilename(part) || (part.message ? getHeaderValue(part.message.headers, "Subject") || "(attached message)" : "(unnamed)");
+      listItem.textContent = `${name} (${formatFileSize(part.body !== undefined ? decodeTransferEncoding(part.body, part.encoding).length : part.size)})`;
+      if (getSettings().redactedCopy) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = "checkbox";
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(" leave out of the redacted copy"));
+        listItem.appendChild(label);
+        dropCheckboxes.push(checkbox);
       }
+      attachmentList.appendChild(listItem);
     });
-
-    if (fullResponse.ok) {
-      const message = await fullResponse.json();
-      
-      const emlContent = createEmlFromJson(message);
-      const emlBlob = new Blob([emlContent], { type: 'message/rfc822' });
-      return emlBlob;
-    } else {
-      const errorText = await fullResponse.text();
-      errorDetails.push(`Method 3 failed: ${fullResponse.status} ${fullResponse.statusText} - ${errorText}`);
-    }
-  } catch (error) {
-    errorDetails.push(`Method 3 error: ${error.message}`);
-  }
-
-  // Show detailed error information
-  const detailedError = `All methods failed:\n${errorDetails.join('\n')}`;
-  throw new Error(detailedError);
-}
-
-/* Create EML format from JSON message data */
-function createEmlFromJson(message) {
-  const date = new Date(message.receivedDateTime).toUTCString();
-  const from = message.sender?.emailAddress?.address || "unknown@unknown.com";
-  const fromName = message.sender?.emailAddress?.name || "";
-  const to = message.toRecipients?.map(r => `${r.emailAddress.name || ""} <${r.emailAddress.address}>`).join(', ') || "";
-  const cc = message.ccRecipients?.map(r => `${r.emailAddress.name || ""} <${r.emailAddress.address}>`).join(', ') || "";
-  const bcc = message.bccRecipients?.map(r => `${r.emailAddress.name || ""} <${r.emailAddress.address}>`).join(', ') || "";
-  const subject = message.subject || "(No Subject)";
-  const body = message.body?.content || "";
-  const contentType = message.body?.contentType === "html" ? "text/html" : "text/plain";
-
-  let eml = `Date: ${date}\r\n`;
-  eml += `From: ${fromName ? `${fromName} <${from}>` : from}\r\n`;
-  if (to) eml += `To: ${to}\r\n`;
-  if (cc) eml += `Cc: ${cc}\r\n`;
-  if (bcc) eml += `Bcc: ${bcc}\r\n`;
-  eml += `Subject: ${subject}\r\n`;
-  eml += `MIME-Version: 1.0\r\n`;
-  eml += `Content-Type: ${contentType}; charset=utf-8\r\n`;
-  eml += `Content-Transfer-Encoding: 8bit\r\n`;
-  eml += `\r\n`;
-  eml += body;
-
-  return eml;
-}
-
-/* Download using a different method to avoid search bar issue */
-function triggerDownload(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  
-  // Instead of using click(), use window.open which is less likely to trigger search
-  const newWindow = window.open(url, '_blank');
-  if (newWindow) {
-    setTimeout(() => {
-      newWindow.close();
-      URL.revokeObjectURL(url);
-    }, 1000);
+    bodyFrame.srcdoc = createPreviewDocument(root);
   } else {
-    // Fallback: create a link that user can click manually
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.textContent = 'Click here to download your email';
-    link.style.color = '#0078d4';
-    link.style.textDecoration = 'underline';
-    link.style.display = 'block';
-    link.style.marginTop = '10px';
-    
-    const statusDiv = document.getElementById("status");
-    if (statusDiv) {
-      statusDiv.appendChild(document.createElement('br'));
-      statusDiv.appendChild(link);
-    }
-    
-    setTimeout(() => {
-      URL.revokeObjectURL(url);
-    }, 300000);
+    bodyFrame.srcdoc = "";
+  }
+
+  previewView.style.display = "block";
+
+  return new Promise((resolve) => {
+    const answer = (value) => {
+      previewView.style.display = "none";
+      bodyFrame.srcdoc = "";
+      resolve(value);
+    };
+    document.getElementById("confirmSaveBtn").onclick = () => {
+      result.droppedAttachments = dropCheckboxes.map((checkbox, index) => checkbox.checked ? index : -1).filter(index => index !== -1);
+      answer(true);
+    };
+    document.getElementById("cancelSaveBtn").onclick = () => answer(false);
+    signal?.addEventListener("abort", () => answer(false), { once: true });
+  });
+}
+
+/* Show why an export failed; a cancelled export is reported without calling it an error */
+function showExportError(statusDiv, error, authError) {
+  if (!statusDiv) {
+    return;
   }
+
+  if (error.code === "CANCELLED") {
+    statusDiv.className = "";
+    statusDiv.textContent = "⏹️ SED Email Downloader - Export cancelled";
+    return;
+  }
+
+  statusDiv.className = "error";
+  statusDiv.style.whiteSpace = "pre-wrap";
+  statusDiv.style.fontSize = "12px";
+  statusDiv.style.textAlign = "left";
+  const authDetails = authError ? `Graph sign-in failed: ${authError.message}\n` : "";
+  statusDiv.textContent = `❌ SED Email Downloader - Error Details:\n${authDetails}${error.message}`;
 }
 
-/* Download the currently selected email as .eml */
+/* Download the currently selected email in the format picked next to the button */
 async function downloadEmailAsEml() {
   if (isDownloading) {
     return;
@@ -248,6 +303,8 @@ async function downloadEmailAsEml() {
   isDownloading = true;
   const statusDiv = document.getElementById("status");
   const downloadBtn = document.getElementById("downloadBtn");
+  const signal = startCancellableExport();
+  let authError = null;
   
   try {
     // Disable button and show progress
@@ -262,38 +319,30 @@ async function downloadEmailAsEml() {
       statusDiv.textContent = "🔐 SED Email Downloader - Authenticating...";
     }
 
-    await initializeMsal();
+    const auth = await getTokenForDownload();
+    authError = auth.error;
     
     if (statusDiv) {
       statusDiv.textContent = "📧 SED Email Downloader - Fetching email...";
     }
     
-    const accessToken = await getToken();
-    
-    const itemId = Office.context.mailbox.item.itemId;
+    const item = Office.context.mailbox.item;
+    const itemId = item ? item.itemId : null;
 
     if (!itemId) {
-      throw new Error("No item ID found - make sure you're viewing an email");
+      throw new Error("No item ID found - make sure you're viewing a single email");
     }
 
-    const emlBlob = await downloadEmailWithRetry(accessToken, itemId, statusDiv);
-
-    // Clean subject for filename
-    const subject = Office.context.mailbox.item.subject || "email";
-    const filename = subject.replace(/[/\\?%*:|"<>]/g, '-') + ".eml";
-
-    if (statusDiv) {
-      statusDiv.textContent = "💾 SED Email Downloader - Starting download...";
+    // Meeting messages are exported like any message, with the meeting's .ics added
+    if (getCalendarItemKind(item) === "appointment") {
+      await exportCalendarItem(item, auth, statusDiv, signal);
+    } else {
+      await exportOpenMessage(item, auth, statusDiv, signal);
+      if (getCalendarItemKind(item) === "meeting") {
+        await addMeetingCalendarFile(item, statusDiv, signal);
+      }
     }
 
-    // Use the new download method
-    triggerDownload(emlBlob, filename);
-
-    if (statusDiv) {
-      statusDiv.className = "success";
-      statusDiv.textContent = "✅ SED Email Downloader - Download completed!";
-    }
-    
     // Reset button
     if (downloadBtn) {
       downloadBtn.disabled = false;
@@ -301,13 +350,7 @@ async function downloadEmailAsEml() {
     }
 
   } catch (error) {
-    if (statusDiv) {
-      statusDiv.className = "error";
-      statusDiv.style.whiteSpace = "pre-wrap";
-      statusDiv.style.fontSize = "12px";
-      statusDiv.style.textAlign = "left";
-      statusDiv.textContent = `❌ SED Email Downloader - Error Details:\n${error.message}`;
-    }
+    showExportError(statusDiv, error, authError);
     
     // Re-enable button for retry
     if (downloadBtn) {
@@ -316,40 +359,1696 @@ async function downloadEmailAsEml() {
     }
   }
   
+  finishCancellableExport();
   isDownloading = false;
 }
 
-/* Initialize Office add-in */
-document.addEventListener('DOMContentLoaded', function() {
-  const downloadBtn = document.getElementById("downloadBtn");
-  if (downloadBtn) {
-    downloadBtn.onclick = downloadEmailAsEml;
+/* Download the open message in the chosen format and show the outcome */
+async function exportOpenMessage(item, auth, statusDiv, signal) {
+  await confirmDuplicateExport(item, statusDiv, signal);
+  await confirmLargeExport(auth.accessToken, [item.itemId], statusDiv, signal);
+  const result = await downloadEmailWithRetry(auth.accessToken, item.itemId, statusDiv, signal);
+  if (result.protection?.kind === "signed") {
+    if (statusDiv) {
+      statusDiv.textContent = "🔏 SED Email Downloader - Checking the S/MIME signature...";
+    }
+    result.signatureCheck = await checkDetachedSignature(result.blob);
   }
-});
 
-Office.onReady((info) => {
-  if (info.host === Office.HostType.Outlook) {
-    // Hide the sideload message, show the app
-    const sideloadMsg = document.getElementById("sideload-msg");
-    const appBody = document.getElementById("app-body");
-    
-    if (sideloadMsg) {
-      sideloadMsg.style.display = "none";
+  if (getSettings().previewBeforeSave) {
+    if (statusDiv) {
+      statusDiv.textContent = "🔍 SED Email Downloader - Check the preview, then save or cancel";
     }
-    
-    if (appBody) {
-      appBody.style.display = "block";
+    if (!await showMimePreview(result, signal)) {
+      throw createDownloadError("CANCELLED");
     }
+  }
 
-    // Set up button handler
-    const downloadBtn = document.getElementById("downloadBtn");
-    if (downloadBtn) {
-      downloadBtn.onclick = downloadEmailAsEml;
+  const formatSelect = document.getElementById("formatSelect");
+  const saved = await saveDownloadedEmail(result, item, statusDiv, formatSelect ? formatSelect.value : null);
+
+  try {
+    await recordExport(result, saved);
+  } catch (error) {
+    // The history is a convenience; a failure to record it does not fail the export
+  }
+  renderAccountPicker();
+
+  if (statusDiv) {
+    const warnings = describeDownloadWarnings(result);
+    const sourceMessage = saved.custodyRecord?.sourceMessage;
+    const custodyNote = (saved.custodyRecord ? `\nSHA-256 (${saved.filename}): ${saved.custodyRecord.sha256}` : "") +
+      (sourceMessage ? `\nSHA-256 (source MIME): ${sourceMessage.sha256}` : "");
+    const redactionNote = saved.redaction ? `\nRedacted copy: ${describeRedaction(saved.redaction)}` : "";
+    const signatureNote = result.signatureCheck ? `\n${describeSignatureCheck(result.signatureCheck)}` : "";
+    statusDiv.className = "success";
+    statusDiv.style.whiteSpace = "pre-wrap";
+    statusDiv.textContent = (saved.uploadedItems[0] ? "✅ SED Email Downloader - Uploaded!" : "✅ SED Email Downloader - Download completed!") +
+      custodyNote + redactionNote + (warnings ? `\n${warnings}` : "") + signatureNote;
+    showUploadedFiles(statusDiv, saved.uploadedItems);
+  }
+}
+
+/* Save the open appointment, or the meeting a meeting message refers to, as an iCalendar file.
+   An occurrence exports the whole series with its exceptions. Returns { filename, uploadedItem, warnings }. */
+async function saveCalendarFile(item, statusDiv, signal) {
+  statusDiv.textContent = "🔐 SED Email Downloader - Requesting calendar access...";
+  await initializeMsal();
+  const session = createGraphSession(await getToken({ scopes: CALENDAR_SCOPES }), (ms, reason) => {
+    statusDiv.textContent = `⏳ ${reason} - retrying in ${Math.ceil(ms / 1000)}s...`;
+  }, CALENDAR_SCOPES);
+  session.signal = signal;
+  session.mailboxPath = (await getMailboxContext()).path;
+
+  const warnings = [];
+  const graphItemId = await resolveGraphMessageId(session, item.itemId);
+  let meeting = { method: "PUBLISH" };
+  let reply = null;
+  let eventId = graphItemId;
+
+  if (getCalendarItemKind(item) === "meeting") {
+    statusDiv.textContent = "📅 SED Email Downloader - Finding the meeting...";
+    const meetingMessage = await fetchMeetingMessageEvent(session, graphItemId);
+    if (!meetingMessage.event) {
+      throw new Error("The meeting this message refers to is no longer in the calendar");
+    }
+    meeting = MEETING_METHODS[meetingMessage.meetingMessageType] || meeting;
+    reply = meeting.partstat ? { emailAddress: meetingMessage.from?.emailAddress || {}, partstat: meeting.partstat } : null;
+    eventId = meetingMessage.event.id;
+  }
+
+  statusDiv.textContent = "📅 SED Email Downloader - Reading the calendar item...";
+  let event = await fetchCalendarEvent(session, eventId, warnings);
+  if (event.seriesMasterId && event.type !== "seriesMaster") {
+    event = await fetchCalendarEvent(session, event.seriesMasterId, warnings);
+    warnings.push("This is one occurrence of a series; the whole series was exported");
+  }
+
+  const filename = makeFilename(item.subject || event.subject, ".ics");
+  statusDiv.textContent = "💾 SED Email Downloader - Starting download...";
+  const uploadedItem = await deliverExport(new Blob([createCalendarText(event, meeting.method, reply, warnings)], { type: "text/calendar" }), filename, statusDiv);
+  return { filename: filename, uploadedItem: uploadedItem, warnings: warnings };
+}
+
+/* Export the open appointment as an iCalendar file, with its full MIME as well when the settings
+   ask for it */
+async function exportCalendarItem(item, auth, statusDiv, signal) {
+  const calendar = await saveCalendarFile(item, statusDiv, signal);
+  const uploadedItems = [calendar.uploadedItem];
+  const warnings = calendar.warnings;
+
+  let saved = null;
+  if (getSettings().calendarIncludeMime) {
+    const result = await downloadEmailWithRetry(auth.accessToken, item.itemId, statusDiv, signal);
+    saved = await saveDownloadedEmail(result, item, statusDiv, "eml");
+    uploadedItems.push(...saved.uploadedItems);
+    warnings.push(...result.warnings);
+    try {
+      await recordExport(result, saved);
+    } catch (error) {
+      // The history is a convenience; a failure to record it does not fail the export
+    }
+  }
+
+  if (statusDiv) {
+    const custodyNote = saved?.custodyRecord ? `\nSHA-256 (MIME): ${saved.custodyRecord.sha256}` : "";
+    statusDiv.className = "success";
+    statusDiv.style.whiteSpace = "pre-wrap";
+    statusDiv.textContent = (uploadedItems[0] ? "✅ SED Email Downloader - Uploaded!" : "✅ SED Email Downloader - Calendar item exported!") +
+      `\nSaved ${calendar.filename}${saved ? ` and ${saved.filename}` : ""}` + custodyNote +
+      warnings.map(warning => `\n⚠️ ${warning}`).join("");
+    showUploadedFiles(statusDiv, uploadedItems);
+  }
+}
+
+/* Add the meeting's .ics after a meeting message was exported. The message export stands on its
+   own, so a refused calendar permission or a missing meeting only adds a note to its outcome. */
+async function addMeetingCalendarFile(item, statusDiv, signal) {
+  // Progress goes nowhere so the message's outcome stays on screen
+  const progress = { textContent: "" };
+  let calendar = null;
+  let note;
+
+  try {
+    calendar = await saveCalendarFile(item, progress, signal);
+    note = `\n📅 Also saved ${calendar.filename}` + calendar.warnings.map(warning => `\n⚠️ ${warning}`).join("");
+  } catch (error) {
+    note = `\n⚠️ The meeting's .ics was not saved: ${error.explanation || error.message}`;
+  }
+
+  if (statusDiv) {
+    statusDiv.appendChild(document.createTextNode(note));
+    showUploadedFiles(statusDiv, calendar ? [calendar.uploadedItem] : []);
+  }
+}
+
+/* Get the messages currently selected in Outlook (multi-select needs Mailbox 1.13) */
+function getSelectedMessages() {
+  return new Promise((resolve, reject) => {
+    if (!Office.context.requirements.isSetSupported("Mailbox", "1.13")) {
+      resolve([]);
+      return;
+    }
+
+    Office.context.mailbox.getSelectedItemsAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve(result.value.filter(item => item.itemType === Office.MailboxEnums.ItemType.Message));
+      } else {
+        reject(new Error(`Could not read selected messages: ${result.error.message}`));
+      }
+    });
+  });
+}
+
+/* Build the per-item success/failure summary included in a batch ZIP */
+function createBatchSummary(results) {
+  const succeeded = results.filter(result => result.ok).length;
+  let summary = `SED Email Downloader - Batch export summary\r\n`;
+  summary += `Exported: ${new Date().toISOString()}\r\n`;
+  summary += `Succeeded: ${succeeded} of ${results.length}\r\n\r\n`;
+
+  results.forEach((result, index) => {
+    if (result.ok) {
+      summary += `${index + 1}. OK      ${result.filename}\r\n`;
+      if (result.warnings) {
+        summary += `   ${result.warnings.replace(/\n/g, '\r\n   ')}\r\n`;
+      }
+    } else {
+      summary += `${index + 1}. FAILED  ${result.subject}\r\n`;
+      summary += `   ${result.error.replace(/\n/g, '\r\n   ')}\r\n`;
+    }
+  });
+
+  return summary;
+}
+
+/* State shared by the messages of one ZIP export */
+function createZipBatch() {
+  return {
+    entries: [],
+    results: [],
+    custodyRecords: [],
+    usedNames: new Set(),
+    custodySidecar: getSettings().custodySidecar,
+    // One mapping for the whole batch, so an address gets the same pseudonym in every message
+    pseudonyms: createPseudonymMap()
+  };
+}
+
+/* Add a downloaded message to a ZIP batch, with its redacted copy and custody sidecar if enabled */
+async function addToZipBatch(batch, result, itemId, subject) {
+  const settings = getSettings();
+  const filename = uniqueFilename(await makeExportFilename(settings.filenameTemplate, result.blob, { subject: subject }, ".eml"), batch.usedNames);
+  batch.entries.push({ name: filename, data: result.blob });
+
+  let redacted = null;
+  if (settings.redactedCopy && !result.protection) {
+    redacted = await createRedactedBlob(result.blob, getRedactionProfile(settings), batch.pseudonyms);
+    redacted.filename = uniqueFilename(getRedactedFilename(filename), batch.usedNames);
+    batch.entries.push({ name: redacted.filename, data: redacted.blob });
+  }
+  if (batch.custodySidecar) {
+    const record = await createCustodyRecord(result, itemId, filename);
+    if (redacted) {
+      record.redactedCopy = { filename: redacted.filename, sha256: await sha256Hex(redacted.blob) };
+    }
+    batch.entries.push({ name: getSidecarFilename(filename), data: createCustodySidecar(record) });
+    batch.custodyRecords.push(record);
+  }
+  batch.results.push({ ok: true, subject: subject, filename: filename, warnings: describeDownloadWarnings(result) });
+}
+
+/* Finish a ZIP batch with its summary and custody manifest and return all of its entries.
+   notes are appended to the summary, such as the query a search export ran. */
+function finishZipBatch(batch, notes) {
+  const entries = [...batch.entries, { name: "export-summary.txt", data: createBatchSummary(batch.results) + (notes || "") }];
+  if (batch.custodySidecar) {
+    const failures = batch.results.filter(result => !result.ok).map(result => ({ subject: result.subject, error: result.error }));
+    entries.push({ name: "custody-manifest.json", data: createCustodyManifest(batch.custodyRecords, failures) });
+  }
+  return entries;
+}
+
+/* Download all selected emails as .eml files packaged into one ZIP */
+async function downloadSelectedEmailsAsZip() {
+  if (isDownloading) {
+    return;
+  }
+
+  isDownloading = true;
+  const statusDiv = document.getElementById("status");
+  const downloadSelectedBtn = document.getElementById("downloadSelectedBtn");
+  const signal = startCancellableExport();
+
+  try {
+    if (downloadSelectedBtn) {
+      downloadSelectedBtn.disabled = true;
+      downloadSelectedBtn.textContent = "⏳ Downloading...";
+    }
+
+    if (statusDiv) {
+      statusDiv.className = "downloading";
+      statusDiv.textContent = "🔐 SED Email Downloader - Authenticating...";
+    }
+
+    // Without Graph sign-in each item can still be exported through EWS
+    const auth = await getTokenForDownload();
+
+    const items = await getSelectedMessages();
+    if (items.length === 0) {
+      throw new Error("No messages selected - select one or more emails in Outlook");
+    }
+
+    await confirmLargeExport(auth.accessToken, items.map(item => item.itemId), statusDiv, signal);
+
+    const batch = createZipBatch();
+
+    // Export each item on its own so one failure does not abort the batch
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const subject = item.subject || "(No Subject)";
+
+      if (statusDiv) {
+        statusDiv.textContent = `📦 SED Email Downloader - Exporting ${i + 1} of ${items.length}: ${subject}`;
+      }
+
+      try {
+        const result = await downloadEmailWithRetry(auth.accessToken, item.itemId, statusDiv, signal);
+        await addToZipBatch(batch, result, item.itemId, subject);
+      } catch (error) {
+        if (error.code === "CANCELLED") {
+          throw error;
+        }
+        batch.results.push({ ok: false, subject: subject, error: error.message });
+      }
+    }
+
+    const results = batch.results;
+    const failed = results.filter(result => !result.ok).length;
+
+    if (batch.entries.length === 0) {
+      const authDetails = auth.error ? `Graph sign-in failed: ${auth.error.message}\n` : "";
+      throw new Error(`${authDetails}All ${items.length} messages failed:\n${createBatchSummary(results)}`);
+    }
+
+    const entries = finishZipBatch(batch);
+
+    if (statusDiv) {
+      statusDiv.textContent = "🗜️ SED Email Downloader - Creating ZIP...";
+    }
+
+    const zipBlob = await createZipBlob(entries);
+    const timestamp = new Date().toISOString().substring(0, 19).replace(/[:T]/g, '-');
+    const uploadedItem = await deliverExport(zipBlob, `emails-${timestamp}.zip`, statusDiv);
+
+    if (statusDiv) {
+      statusDiv.className = failed > 0 ? "error" : "success";
+      statusDiv.style.whiteSpace = "pre-wrap";
+      statusDiv.textContent = failed > 0
+        ? `⚠️ SED Email Downloader - ${results.length - failed} of ${results.length} emails exported, ${failed} failed (see export-summary.txt)`
+        : `✅ SED Email Downloader - ${results.length} emails exported!`;
+      showUploadedFiles(statusDiv, [uploadedItem]);
+    }
+
+    if (downloadSelectedBtn) {
+      downloadSelectedBtn.disabled = false;
+      downloadSelectedBtn.textContent = "📦 Download Selected as .zip";
+    }
+
+  } catch (error) {
+    showExportError(statusDiv, error);
+
+    if (downloadSelectedBtn) {
+      downloadSelectedBtn.disabled = false;
+      downloadSelectedBtn.textContent = "📦 Try Download Again";
+    }
+  }
+
+  finishCancellableExport();
+  isDownloading = false;
+}
+
+/* Attachments of the current item as listed in the attachments view */
+let attachmentState = { session: null, itemId: null, attachments: [] };
+
+/* Filename for a saved attachment; attached emails are saved as .eml */
+function getAttachmentFilename(attachment) {
+  const name = attachment.name || "attachment";
+  if (attachment.kind === "item") {
+    return makeFilename(name.replace(/\.eml$/i, ""), ".eml");
+  }
+  return sanitizeFilename(name, MAX_FILENAME_LENGTH);
+}
+
+/* List the current item's attachments. Outlook's own API (Mailbox 1.8) can read their
+   content without Graph sign-in; older clients list and fetch them through Graph. */
+async function listItemAttachments(session, itemId) {
+  if (Office.context.requirements.isSetSupported("Mailbox", "1.8")) {
+    return (Office.context.mailbox.item.attachments || []).map(attachment => ({
+      id: attachment.id,
+      name: attachment.name,
+      size: attachment.size,
+      kind: attachment.attachmentType,
+      isInline: !!attachment.isInline,
+      source: "office"
+    }));
+  }
+
+  if (!session.accessToken) {
+    throw new Error("Listing attachments in this Outlook version needs Microsoft Graph sign-in");
+  }
+
+  const kinds = {
+    "#microsoft.graph.fileAttachment": "file",
+    "#microsoft.graph.itemAttachment": "item",
+    "#microsoft.graph.referenceAttachment": "cloud"
+  };
+  const list = await fetchAllGraphPages(session, `${getMailboxUrl(session)}/messages/${encodeURIComponent(itemId)}/attachments?$select=id,name,size,isInline`);
+  return list.map(attachment => ({
+    id: attachment.id,
+    name: attachment.name,
+    size: attachment.size,
+    kind: kinds[attachment["@odata.type"]] || "cloud",
+    isInline: !!attachment.isInline,
+    source: "graph"
+  }));
+}
+
+/* Read one attachment's content through Outlook (Mailbox 1.8) */
+function getOfficeAttachmentContent(attachmentId) {
+  return new Promise((resolve, reject) => {
+    Office.context.mailbox.item.getAttachmentContentAsync(attachmentId, (result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve(result.value);
+      } else {
+        reject(new Error(`Could not read attachment: ${result.error.message}`));
+      }
+    });
+  });
+}
+
+/* Fetch one attachment as a blob; attached emails come back as their MIME content */
+async function fetchAttachmentBlob(session, itemId, attachment) {
+  if (attachment.kind === "cloud") {
+    throw new Error("Cloud attachments are links to files, not attached content");
+  }
+
+  if (attachment.source === "graph") {
+    const response = await graphFetch(session, `${getMailboxUrl(session)}/messages/${encodeURIComponent(itemId)}/attachments/${encodeURIComponent(attachment.id)}/$value`);
+    const blob = await response.blob();
+    return attachment.kind === "item" ? new Blob([blob], { type: "message/rfc822" }) : blob;
+  }
+
+  const content = await getOfficeAttachmentContent(attachment.id);
+  switch (content.format) {
+    case Office.MailboxEnums.AttachmentContentFormat.Base64:
+      return new Blob([binaryToBytes(atob(content.content))], { type: "application/octet-stream" });
+    case Office.MailboxEnums.AttachmentContentFormat.Eml:
+      return new Blob([content.content], { type: "message/rfc822" });
+    case Office.MailboxEnums.AttachmentContentFormat.ICalendar:
+      return new Blob([content.content], { type: "text/calendar" });
+    default:
+      throw new Error("Cloud attachments are links to files, not attached content");
+  }
+}
+
+/* Show the list of attachments of the current item with a checkbox each */
+function renderAttachmentList(attachments) {
+  const attachmentList = document.getElementById("attachmentList");
+  if (!attachmentList) {
+    return;
+  }
+
+  attachmentList.innerHTML = "";
+  attachments.forEach((attachment, index) => {
+    const listItem = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = "checkbox";
+    checkbox.dataset.index = index;
+    // Inline images are usually signatures and logos, so they start unticked
+    checkbox.checked = !attachment.isInline && attachment.kind !== "cloud";
+    checkbox.disabled = attachment.kind === "cloud";
+
+    const details = [formatFileSize(attachment.size)];
+    if (attachment.kind === "item") {
+      details.push("email, saved as .eml");
+    } else if (attachment.kind === "cloud") {
+      details.push("cloud link, cannot be saved");
+    } else if (attachment.isInline) {
+      details.push("inline");
+    }
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${attachment.name} (${details.filter(Boolean).join(", ")})`));
+    listItem.appendChild(label);
+    attachmentList.appendChild(listItem);
+  });
+}
+
+/* Show or hide the attachments view, loading the current item's attachments */
+async function toggleAttachments() {
+  const attachmentsView = document.getElementById("attachments-view");
+  const statusDiv = document.getElementById("status");
+  if (!attachmentsView) {
+    return;
+  }
+
+  if (attachmentsView.style.display !== "none") {
+    attachmentsView.style.display = "none";
+    return;
+  }
+
+  try {
+    const item = Office.context.mailbox.item;
+    if (!item) {
+      throw new Error("Open an email to list its attachments");
+    }
+
+    // Graph is only needed when Outlook cannot read attachment content itself
+    const needsGraph = !Office.context.requirements.isSetSupported("Mailbox", "1.8");
+    const auth = needsGraph ? await getTokenForDownload() : { accessToken: null, error: null };
+    const session = createGraphSession(auth.accessToken, (ms, reason) => {
+      statusDiv.textContent = `⏳ ${reason} - retrying in ${Math.ceil(ms / 1000)}s...`;
+    });
+
+    let itemId = item.itemId;
+    if (auth.accessToken) {
+      session.mailboxPath = (await getMailboxContext()).path;
+      itemId = await resolveGraphMessageId(session, item.itemId);
+    }
+    const attachments = await listItemAttachments(session, itemId);
+
+    if (attachments.length === 0) {
+      throw new Error("This email has no attachments");
+    }
+
+    attachmentState = { session: session, itemId: itemId, attachments: attachments };
+    renderAttachmentList(attachments);
+    attachmentsView.style.display = "block";
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - ${error.message}`;
+    }
+  }
+}
+
+/* Tick or untick every attachment that can be saved */
+function selectAllAttachments() {
+  const selectAll = document.getElementById("selectAllAttachments");
+  document.querySelectorAll("#attachmentList input[type=checkbox]").forEach((checkbox) => {
+    if (!checkbox.disabled) {
+      checkbox.checked = selectAll.checked;
+    }
+  });
+}
+
+/* Save the ticked attachments one file each, or packaged into one ZIP */
+async function saveSelectedAttachments(asZip) {
+  if (isDownloading) {
+    return;
+  }
+
+  isDownloading = true;
+  const statusDiv = document.getElementById("status");
+
+  try {
+    const selected = Array.from(document.querySelectorAll("#attachmentList input[type=checkbox]:checked"),
+      checkbox => attachmentState.attachments[Number(checkbox.dataset.index)]);
+
+    if (selected.length === 0) {
+      throw new Error("No attachments selected");
+    }
+
+    const entries = [];
+    const failures = [];
+    const usedNames = new Set();
+
+    for (let i = 0; i < selected.length; i++) {
+      const attachment = selected[i];
+
+      if (statusDiv) {
+        statusDiv.className = "downloading";
+        statusDiv.textContent = `📎 SED Email Downloader - Fetching attachment ${i + 1} of ${selected.length}: ${attachment.name}`;
+      }
+
+      try {
+        const blob = await fetchAttachmentBlob(attachmentState.session, attachmentState.itemId, attachment);
+        entries.push({ name: uniqueFilename(getAttachmentFilename(attachment), usedNames), data: blob });
+      } catch (error) {
+        failures.push(`${attachment.name}: ${error.message}`);
+      }
+    }
+
+    if (entries.length === 0) {
+      throw new Error(`No attachments could be saved:\n${failures.join('\n')}`);
+    }
+
+    const uploadedItems = [];
+    if (asZip) {
+      const subject = Office.context.mailbox.item?.subject || "attachments";
+      uploadedItems.push(await deliverExport(await createZipBlob(entries), makeFilename(`${stripSubjectPrefixes(subject) || subject} attachments`, ".zip"), statusDiv));
+    } else {
+      for (const entry of entries) {
+        uploadedItems.push(await deliverExport(entry.data, entry.name, statusDiv));
+      }
+    }
+
+    if (statusDiv) {
+      statusDiv.className = failures.length > 0 ? "error" : "success";
+      statusDiv.style.whiteSpace = "pre-wrap";
+      statusDiv.textContent = failures.length > 0
+        ? `⚠️ SED Email Downloader - ${entries.length} of ${selected.length} attachments saved:\n${failures.join('\n')}`
+        : `✅ SED Email Downloader - ${entries.length} attachments saved!`;
+      showUploadedFiles(statusDiv, uploadedItems);
+    }
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.style.whiteSpace = "pre-wrap";
+      statusDiv.textContent = `❌ SED Email Downloader - ${error.message}`;
+    }
+  }
+
+  isDownloading = false;
+}
+
+/* The last analysis, kept for the JSON export */
+let analysisState = null;
+
+/* Markers for the severity of each check */
+const ANALYSIS_ICONS = { pass: "✅", info: "ℹ️", warn: "⚠️", fail: "❌" };
+
+/* Show an analysis as a verdict table, with the Received hops and the links below it */
+function renderAnalysis(report) {
+  document.getElementById("analysisVerdict").textContent = `${ANALYSIS_ICONS[report.severity]} ${report.verdict}\n${report.subject}`;
+
+  const checkTable = document.getElementById("analysisChecks");
+  checkTable.innerHTML = "";
+  report.checks.forEach((check) => {
+    const row = checkTable.insertRow();
+    row.insertCell().textContent = `${ANALYSIS_ICONS[check.severity]} ${check.check}`;
+    row.insertCell().textContent = check.result;
+    row.insertCell().textContent = check.details;
+  });
+
+  const hopTable = document.getElementById("analysisHops");
+  hopTable.innerHTML = "";
+  report.hops.forEach((hop, index) => {
+    const row = hopTable.insertRow();
+    row.insertCell().textContent = String(index + 1);
+    row.insertCell().textContent = `${hop.from || "?"} → ${hop.by || "?"}`;
+    row.insertCell().textContent = hop.ips.join(", ");
+    row.insertCell().textContent = hop.date ? hop.date.toISOString() : "";
+    row.insertCell().textContent = hop.delaySeconds !== null ? `${hop.delaySeconds >= 0 ? "+" : ""}${hop.delaySeconds}s` : "";
+  });
+
+  // Links are listed as text only, so nothing in a suspicious message can be clicked from here
+  const linkList = document.getElementById("analysisLinks");
+  linkList.innerHTML = "";
+  report.links.forEach((link) => {
+    const listItem = document.createElement('li');
+    listItem.textContent = `${link.mismatch ? "❌ " : link.ipHost ? "⚠️ " : ""}"${link.text}" → ${link.href}`;
+    linkList.appendChild(listItem);
+  });
+}
+
+/* Download the open message and analyze its headers and links */
+async function toggleAnalysis() {
+  const analysisView = document.getElementById("analysis-view");
+  const statusDiv = document.getElementById("status");
+  if (!analysisView || isDownloading) {
+    return;
+  }
+
+  if (analysisView.style.display !== "none") {
+    analysisView.style.display = "none";
+    return;
+  }
+
+  isDownloading = true;
+  const signal = startCancellableExport();
+  let authError = null;
+
+  try {
+    const item = Office.context.mailbox.item;
+    if (!item) {
+      throw new Error("Open an email to analyze it");
+    }
+
+    statusDiv.className = "downloading";
+    statusDiv.textContent = "🔐 SED Email Downloader - Authenticating...";
+    const auth = await getTokenForDownload();
+    authError = auth.error;
+
+    const result = await downloadEmailWithRetry(auth.accessToken, item.itemId, statusDiv, signal);
+    const root = result.blob.size <= PREVIEW_PARSE_LIMIT_BYTES
+      ? parseMimeEntity(bytesToBinary(new Uint8Array(await result.blob.arrayBuffer())))
+      : { headers: await readMimeHeaders(result.blob) };
+
+    analysisState = { report: analyzeMessage(root), blob: result.blob, item: item };
+    renderAnalysis(analysisState.report);
+    analysisView.style.display = "block";
+
+    // A JSON rebuild lacks most transport headers, which the analysis should not hide
+    const warnings = describeDownloadWarnings(result);
+    statusDiv.className = "success";
+    statusDiv.style.whiteSpace = "pre-wrap";
+    statusDiv.textContent = `🔎 SED Email Downloader - Analysis complete: ${analysisState.report.verdict}` + (warnings ? `\n${warnings}` : "");
+  } catch (error) {
+    showExportError(statusDiv, error, authError);
+  }
+
+  finishCancellableExport();
+  isDownloading = false;
+}
+
+/* Save the last analysis as JSON, named like the message's export */
+async function exportAnalysisJson() {
+  const statusDiv = document.getElementById("status");
+  if (!analysisState) {
+    return;
+  }
+
+  try {
+    const item = analysisState.item;
+    const filename = await makeExportFilename(getSettings().filenameTemplate, analysisState.blob, {
+      subject: item.subject,
+      date: item.dateTimeCreated,
+      conversationId: item.conversationId
+    }, ".analysis.json");
+    const uploadedItem = await deliverExport(createAnalysisJson(analysisState.report), filename, statusDiv);
+    if (statusDiv) {
+      statusDiv.className = "success";
+      statusDiv.textContent = `✅ SED Email Downloader - Analysis saved as ${filename}`;
+      showUploadedFiles(statusDiv, [uploadedItem]);
+    }
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - ${error.message}`;
+    }
+  }
+}
+
+/* Show or hide the report form, saying where the report goes and what happens to the original */
+function toggleReport() {
+  const reportView = document.getElementById("report-view");
+  const statusDiv = document.getElementById("status");
+  if (!reportView) {
+    return;
+  }
+
+  if (reportView.style.display !== "none") {
+    reportView.style.display = "none";
+    return;
+  }
+
+  const settings = getSettings();
+  if (!settings.reportRecipient) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = "❌ SED Email Downloader - Set the security team's address in Settings first";
+    }
+    return;
+  }
+
+  document.getElementById("reportSummary").textContent = `The original is sent as an attachment to ${settings.reportRecipient}.` +
+    (settings.reportMoveTo !== "none" ? ` Afterwards it is moved to ${REPORT_MOVE_DESTINATIONS[settings.reportMoveTo].folderName}.` : "");
+  reportView.style.display = "block";
+}
+
+/* Download the open message and send it to the security team */
+async function submitSecurityReport() {
+  if (isDownloading) {
+    return;
+  }
+
+  isDownloading = true;
+  const statusDiv = document.getElementById("status");
+  const reportView = document.getElementById("report-view");
+  const settings = getSettings();
+  const signal = startCancellableExport();
+  const onWait = (ms, reason) => {
+    statusDiv.textContent = `⏳ ${reason} - retrying in ${Math.ceil(ms / 1000)}s...`;
+  };
+
+  try {
+    const item = Office.context.mailbox.item;
+    if (!item) {
+      throw new Error("Open an email to report it");
+    }
+
+    statusDiv.className = "downloading";
+    statusDiv.textContent = "🔐 SED Email Downloader - Authenticating...";
+    await initializeMsal();
+    const accessToken = await getToken({ scopes: REPORT_SCOPES });
+
+    const result = await downloadEmailWithRetry(accessToken, item.itemId, statusDiv, signal);
+    const scopes = getReportScopes(settings.reportMoveTo, result.blob.size);
+    const session = createGraphSession(scopes === REPORT_SCOPES ? accessToken : await getToken({ scopes: scopes }), onWait, scopes);
+    session.signal = signal;
+
+    const filename = await makeExportFilename(settings.filenameTemplate, result.blob, {
+      subject: item.subject,
+      date: item.dateTimeCreated,
+      conversationId: item.conversationId
+    }, ".eml");
+    const report = await sendSecurityReport(session, result, filename, {
+      recipient: settings.reportRecipient,
+      subjectTemplate: settings.reportSubjectTemplate,
+      comment: document.getElementById("reportComment").value.trim()
+    }, (sent, total) => {
+      statusDiv.textContent = `📤 SED Email Downloader - Sending report: ${Math.round(sent / total * 100)}%`;
+    });
+
+    reportView.style.display = "none";
+    document.getElementById("reportComment").value = "";
+    statusDiv.className = "success";
+    statusDiv.style.whiteSpace = "pre-wrap";
+    statusDiv.textContent = `✅ SED Email Downloader - Report sent to ${settings.reportRecipient}\n${report.reportSubject}`;
+
+    if (settings.reportMoveTo !== "none") {
+      // The report is out either way; a failed move is reported without calling the report failed
+      try {
+        session.mailboxPath = (await getMailboxContext()).path;
+        await moveReportedMessage(session, result.graphItemId, settings.reportMoveTo);
+        statusDiv.textContent += `\nThe original was moved to ${REPORT_MOVE_DESTINATIONS[settings.reportMoveTo].folderName}`;
+      } catch (error) {
+        statusDiv.className = "error";
+        statusDiv.textContent += `\n⚠️ The original could not be moved: ${error.message}`;
+      }
+    }
+  } catch (error) {
+    showExportError(statusDiv, error);
+  }
+
+  finishCancellableExport();
+  isDownloading = false;
+}
+
+/* List every message in a conversation, oldest first */
+async function getConversationMessages(session, conversationId) {
+  const filter = encodeURIComponent(`conversationId eq '${conversationId.replace(/'/g, "''")}'`);
+  const messages = await fetchAllGraphPages(session, `${getMailboxUrl(session)}/messages?$filter=${filter}&$select=id,subject,sender,receivedDateTime&$top=50`);
+
+  // Graph rejects $orderby combined with a conversationId filter, so sort locally
+  return messages.sort((a, b) => new Date(a.receivedDateTime) - new Date(b.receivedDateTime));
+}
+
+/* List every message in a mail folder, oldest first */
+async function getFolderMessages(session, folderId) {
+  return fetchAllGraphPages(session, `${getMailboxUrl(session)}/mailFolders/${encodeURIComponent(folderId)}/messages?$select=id,subject,sender,receivedDateTime&$orderby=receivedDateTime asc&$top=50`);
+}
+
+/* List mail folders, including nested ones, in display order */
+async function getMailFolders(session, parentId, depth) {
+  const url = parentId
+    ? `${getMailboxUrl(session)}/mailFolders/${encodeURIComponent(parentId)}/childFolders?$top=100`
+    : `${getMailboxUrl(session)}/mailFolders?$top=100`;
+  const folders = await fetchAllGraphPages(session, url);
+  const result = [];
+
+  for (const folder of folders) {
+    result.push({ id: folder.id, name: folder.displayName, depth: depth || 0, count: folder.totalItemCount });
+    if (folder.childFolderCount > 0) {
+      result.push(...await getMailFolders(session, folder.id, (depth || 0) + 1));
+    }
+  }
+
+  return result;
+}
+
+/* Populate a folder picker the first time it is opened */
+async function loadMailFolders(folderSelect) {
+  if (!folderSelect || folderSelect.dataset.loaded) {
+    return;
+  }
+
+  folderSelect.dataset.loaded = "true";
+  const statusDiv = document.getElementById("status");
+
+  try {
+    await initializeMsal();
+    const session = createGraphSession(await getToken());
+    session.mailboxPath = (await getMailboxContext()).path;
+    const folders = await getMailFolders(session);
+
+    folders.forEach((folder) => {
+      const option = document.createElement('option');
+      option.value = folder.id;
+      option.dataset.name = folder.name;
+      option.textContent = `${"\u00a0\u00a0".repeat(folder.depth)}${folder.name} (${folder.count})`;
+      folderSelect.appendChild(option);
+    });
+  } catch (error) {
+    delete folderSelect.dataset.loaded;
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - Could not load folders: ${error.message}`;
+    }
+  }
+}
+
+/* Download a list of Graph messages and write them into one mbox blob */
+async function createMboxFromMessages(accessToken, messages, statusDiv, signal) {
+  const mboxMessages = [];
+  const failures = [];
+  const rebuilt = [];
+
+  for (let i = 0; i < messages.length; i++) {
+    const message = messages[i];
+
+    if (statusDiv) {
+      statusDiv.textContent = `📦 SED Email Downloader - Fetching ${i + 1} of ${messages.length}...`;
+    }
+
+    try {
+      const result = await downloadEmailWithRetry(accessToken, message.id, statusDiv, signal);
+      mboxMessages.push({
+        sender: message.sender?.emailAddress?.address,
+        date: new Date(message.receivedDateTime),
+        data: result.blob
+      });
+      if (result.method === "json") {
+        rebuilt.push(message.subject || "(No Subject)");
+      }
+    } catch (error) {
+      if (error.code === "CANCELLED") {
+        throw error;
+      }
+      failures.push(`${message.subject || "(No Subject)"}: ${error.message}`);
+    }
+  }
+
+  if (mboxMessages.length === 0) {
+    throw new Error(`All ${messages.length} messages failed:\n${failures.join('\n')}`);
+  }
+
+  return { blob: await createMboxBlob(mboxMessages), exported: mboxMessages.length, failures: failures, rebuilt: rebuilt };
+}
+
+/* Export the current conversation or the chosen folder as an .mbox file */
+async function downloadMbox(mode) {
+  if (isDownloading) {
+    return;
+  }
+
+  isDownloading = true;
+  const statusDiv = document.getElementById("status");
+  const button = document.getElementById(mode === "folder" ? "exportFolderBtn" : "exportThreadBtn");
+  const buttonLabel = button ? button.textContent : "";
+  const signal = startCancellableExport();
+
+  try {
+    let source;
+    let filename;
+
+    if (mode === "folder") {
+      const folderSelect = document.getElementById("folderSelect");
+      if (!folderSelect || !folderSelect.value) {
+        throw new Error("Choose a folder to export first");
+      }
+      source = folderSelect.value;
+      filename = makeFilename(folderSelect.options[folderSelect.selectedIndex].dataset.name, ".mbox");
+    } else {
+      const item = Office.context.mailbox.item;
+      if (!item || !item.conversationId) {
+        throw new Error("No conversation found - make sure you're viewing a single email");
+      }
+      source = item.conversationId;
+      filename = makeFilename(item.subject, ".mbox");
+    }
+
+    if (button) {
+      button.disabled = true;
+      button.textContent = "⏳ Exporting...";
+    }
+
+    if (statusDiv) {
+      statusDiv.className = "downloading";
+      statusDiv.textContent = "🔐 SED Email Downloader - Authenticating...";
+    }
+
+    await initializeMsal();
+    const session = createGraphSession(await getToken());
+    session.signal = signal;
+    session.mailboxPath = (await getMailboxContext()).path;
+
+    if (statusDiv) {
+      statusDiv.textContent = `🔎 SED Email Downloader - Listing ${mode === "folder" ? "folder" : "conversation"} messages...`;
+    }
+
+    const messages = mode === "folder"
+      ? await getFolderMessages(session, source)
+      : await getConversationMessages(session, source);
+
+    if (messages.length === 0) {
+      throw new Error("No messages found to export");
+    }
+
+    const result = await createMboxFromMessages(session.accessToken, messages, statusDiv, signal);
+    const uploadedItem = await deliverExport(result.blob, filename, statusDiv);
+
+    if (statusDiv) {
+      statusDiv.style.whiteSpace = "pre-wrap";
+      if (result.failures.length > 0) {
+        statusDiv.className = "error";
+        statusDiv.textContent = `⚠️ SED Email Downloader - ${result.exported} of ${messages.length} messages exported, ${result.failures.length} failed:\n${result.failures.join('\n')}`;
+      } else {
+        statusDiv.className = "success";
+        statusDiv.textContent = `✅ SED Email Downloader - ${result.exported} messages exported to ${filename}`;
+      }
+      if (result.rebuilt.length > 0) {
+        statusDiv.textContent += `\n⚠️ Rebuilt from message data (JSON fallback), not the original MIME:\n- ${result.rebuilt.join('\n- ')}`;
+      }
+      showUploadedFiles(statusDiv, [uploadedItem]);
+    }
+
+  } catch (error) {
+    showExportError(statusDiv, error);
+  }
+
+  if (button) {
+    button.disabled = false;
+    button.textContent = buttonLabel;
+  }
+
+  finishCancellableExport();
+  isDownloading = false;
+}
+
+/* Show or hide the search export panel */
+function toggleSearch() {
+  const searchView = document.getElementById("search-view");
+  if (searchView) {
+    searchView.style.display = searchView.style.display === "none" ? "block" : "none";
+  }
+}
+
+/* Read the search criteria from the panel and build the Graph query */
+function getSearchQueryFromForm() {
+  const value = (id) => document.getElementById(id).value;
+  return buildMessageQuery({
+    dateFrom: value("searchFromDate"),
+    dateTo: value("searchToDate"),
+    from: value("searchSender"),
+    hasAttachments: document.getElementById("searchHasAttachments").checked,
+    folderId: value("searchFolderSelect"),
+    keyword: value("searchKeyword")
+  });
+}
+
+/* Create a Graph session for the mailbox the search runs in */
+async function createSearchSession(signal) {
+  await initializeMsal();
+  const session = createGraphSession(await getToken());
+  session.signal = signal || null;
+  session.mailboxPath = (await getMailboxContext()).path;
+  return session;
+}
+
+/* Show how many messages the search matches before exporting them */
+async function previewSearchCount() {
+  const statusDiv = document.getElementById("status");
+  const searchCount = document.getElementById("searchCount");
+  const searchCountBtn = document.getElementById("searchCountBtn");
+
+  try {
+    const query = getSearchQueryFromForm();
+    searchCountBtn.disabled = true;
+    searchCount.textContent = "🔎 Counting matches...";
+
+    const { count, capped } = await countMessageQuery(await createSearchSession(), query);
+    searchCount.textContent = capped
+      ? `More than ${SEARCH_RESULT_LIMIT} messages match; only the first ${SEARCH_RESULT_LIMIT} would be exported. Narrow the search to export the rest.`
+      : `${count} message${count === 1 ? "" : "s"} match.`;
+  } catch (error) {
+    searchCount.textContent = "";
+    showExportError(statusDiv, error);
+  }
+
+  searchCountBtn.disabled = false;
+}
+
+/* Export every message the search matches as .eml files in one ZIP, downloading a few at a time */
+async function exportSearchResults() {
+  if (isDownloading) {
+    return;
+  }
+
+  isDownloading = true;
+  const statusDiv = document.getElementById("status");
+  const searchExportBtn = document.getElementById("searchExportBtn");
+  const signal = startCancellableExport();
+
+  try {
+    const query = getSearchQueryFromForm();
+
+    if (searchExportBtn) {
+      searchExportBtn.disabled = true;
+    }
+
+    if (statusDiv) {
+      statusDiv.className = "downloading";
+      statusDiv.textContent = "🔐 SED Email Downloader - Authenticating...";
+    }
+
+    const session = await createSearchSession(signal);
+    const listing = await listMessageQuery(session, query, (found) => {
+      statusDiv.textContent = `🔎 SED Email Downloader - Listing matches... ${found} found`;
+    });
+    const messages = listing.messages;
+
+    if (messages.length === 0) {
+      throw new Error("No messages match the search");
+    }
+
+    await confirmLargeSizes(messages.map(message => message.size), statusDiv, signal);
+
+    // Downloads finish in any order; they are added to the ZIP in listing order afterwards so
+    // filenames and pseudonyms do not depend on timing
+    const downloads = new Array(messages.length);
+    let finished = 0;
+    await runWithConcurrency(messages, SEARCH_EXPORT_CONCURRENCY, async (message, index) => {
+      try {
+        downloads[index] = { result: await downloadEmailWithRetry(session.accessToken, message.id, statusDiv, signal) };
+      } catch (error) {
+        if (error.code === "CANCELLED") {
+          throw error;
+        }
+        downloads[index] = { error: error };
+      }
+      finished++;
+      statusDiv.textContent = `📦 SED Email Downloader - Exported ${finished} of ${messages.length}...`;
+    });
+
+    const batch = createZipBatch();
+    for (let i = 0; i < messages.length; i++) {
+      const subject = messages[i].subject || "(No Subject)";
+      try {
+        if (downloads[i].error) {
+          throw downloads[i].error;
+        }
+        await addToZipBatch(batch, downloads[i].result, messages[i].id, subject);
+      } catch (error) {
+        batch.results.push({ ok: false, subject: subject, error: error.message });
+      }
+    }
+
+    const results = batch.results;
+    const failed = results.filter(result => !result.ok).length;
+
+    if (batch.entries.length === 0) {
+      throw new Error(`All ${messages.length} messages failed:\n${createBatchSummary(results)}`);
+    }
+
+    let notes = `\r\nQuery: ${describeMessageQuery(query)}\r\n`;
+    if (listing.capped) {
+      notes += `More than ${SEARCH_RESULT_LIMIT} messages matched; only the first ${SEARCH_RESULT_LIMIT} were exported.\r\n`;
+    }
+    const entries = finishZipBatch(batch, notes);
+
+    statusDiv.textContent = "🗜️ SED Email Downloader - Creating ZIP...";
+
+    const zipBlob = await createZipBlob(entries);
+    const timestamp = new Date().toISOString().substring(0, 19).replace(/[:T]/g, '-');
+    const uploadedItem = await deliverExport(zipBlob, `search-${timestamp}.zip`, statusDiv);
+
+    statusDiv.className = failed > 0 || listing.capped ? "error" : "success";
+    statusDiv.style.whiteSpace = "pre-wrap";
+    statusDiv.textContent = failed > 0
+      ? `⚠️ SED Email Downloader - ${results.length - failed} of ${results.length} emails exported, ${failed} failed (see export-summary.txt)`
+      : `✅ SED Email Downloader - ${results.length} emails exported!`;
+    if (listing.capped) {
+      statusDiv.textContent += `\n⚠️ More than ${SEARCH_RESULT_LIMIT} messages matched; narrow the search to export the rest.`;
+    }
+    showUploadedFiles(statusDiv, [uploadedItem]);
+
+  } catch (error) {
+    showExportError(statusDiv, error);
+  }
+
+  if (searchExportBtn) {
+    searchExportBtn.disabled = false;
+  }
+
+  finishCancellableExport();
+  isDownloading = false;
+}
+
+/* Show the bulk button when more than one message is selected */
+async function updateSelectionUi() {
+  const downloadSelectedBtn = document.getElementById("downloadSelectedBtn");
+  if (!downloadSelectedBtn) {
+    return;
+  }
+
+  try {
+    const items = await getSelectedMessages();
+    downloadSelectedBtn.style.display = items.length > 1 ? "block" : "none";
+    downloadSelectedBtn.textContent = `📦 Download ${items.length} Selected as .zip`;
+  } catch (error) {
+    downloadSelectedBtn.style.display = "none";
+  }
+}
+
+/* A pinned pane stays open when the user moves to another item. Drop everything shown or kept
+   for the previous item, and cancel an export still running for it. */
+function onItemChanged() {
+  cancelExport();
+  attachmentState = { session: null, itemId: null, attachments: [] };
+  analysisState = null;
+
+  ["attachments-view", "analysis-view", "report-view", "preview-view"].forEach((id) => {
+    const view = document.getElementById(id);
+    if (view) {
+      view.style.display = "none";
+    }
+  });
+  renderAttachmentList([]);
+  document.getElementById("reportComment").value = "";
+
+  const statusDiv = document.getElementById("status");
+  if (statusDiv) {
+    statusDiv.className = "";
+    statusDiv.textContent = "";
+  }
+  const downloadBtn = document.getElementById("downloadBtn");
+  if (downloadBtn && !isDownloading) {
+    downloadBtn.textContent = "Download Email";
+  }
+  updateSelectionUi();
+}
+
+/* Show the known accounts so the user can pick which one signs in */
+function renderAccountPicker() {
+  const accountSelect = document.getElementById("accountSelect");
+  if (!accountSelect) {
+    return;
+  }
+
+  const accounts = getAccounts();
+  const selected = getSelectedAccount();
+  accountSelect.innerHTML = "";
+
+  if (!selected) {
+    const option = document.createElement('option');
+    option.value = "";
+    option.textContent = accounts.length > 0 ? "Choose an account..." : "Not signed in";
+    accountSelect.appendChild(option);
+  }
+
+  accounts.forEach((account) => {
+    const option = document.createElement('option');
+    option.value = account.homeAccountId;
+    option.textContent = account.name ? `${account.name} (${account.username})` : account.username;
+    option.selected = selected && account.homeAccountId === selected.homeAccountId;
+    accountSelect.appendChild(option);
+  });
+
+  const addOption = document.createElement('option');
+  addOption.value = "add";
+  addOption.textContent = "➕ Use another account...";
+  accountSelect.appendChild(addOption);
+
+  const signOutBtn = document.getElementById("signOutBtn");
+  if (signOutBtn) {
+    signOutBtn.disabled = !selected;
+  }
+}
+
+/* Switch account, or sign in with a new one, from the account picker */
+async function changeAccount() {
+  const accountSelect = document.getElementById("accountSelect");
+  const statusDiv = document.getElementById("status");
+
+  try {
+    await initializeMsal();
+    if (accountSelect.value === "add") {
+      await signIn();
+    } else {
+      selectAccount(getAccounts().find(account => account.homeAccountId === accountSelect.value) || null);
+    }
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - Sign-in failed: ${error.message}`;
+    }
+  }
+
+  renderAccountPicker();
+}
+
+/* Sign out of the selected account */
+async function signOutAccount() {
+  const statusDiv = document.getElementById("status");
+
+  try {
+    await signOut();
+    if (statusDiv) {
+      statusDiv.className = "success";
+      statusDiv.textContent = "👋 SED Email Downloader - Signed out";
+    }
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - Sign-out failed: ${error.message}`;
+    }
+  }
+
+  renderAccountPicker();
+}
+
+/* Render the download methods as a reorderable list */
+function renderMethodOrder(order) {
+  const methodOrderList = document.getElementById("methodOrderList");
+  if (!methodOrderList) {
+    return;
+  }
+
+  const methods = getOrderedDownloadMethods(order);
+  methodOrderList.innerHTML = "";
+
+  methods.forEach((method, index) => {
+    const listItem = document.createElement('li');
+    listItem.dataset.method = method.id;
+    listItem.textContent = method.label + " ";
+
+    const moveUp = document.createElement('button');
+    moveUp.textContent = "▲";
+    moveUp.disabled = index === 0;
+    moveUp.onclick = () => moveMethod(index, -1);
+
+    const moveDown = document.createElement('button');
+    moveDown.textContent = "▼";
+    moveDown.disabled = index === methods.length - 1;
+    moveDown.onclick = () => moveMethod(index, 1);
+
+    listItem.appendChild(moveUp);
+    listItem.appendChild(moveDown);
+    methodOrderList.appendChild(listItem);
+  });
+}
+
+/* Read the method order currently shown in the settings view */
+function getMethodOrderFromForm() {
+  return Array.from(document.querySelectorAll("#methodOrderList li"), listItem => listItem.dataset.method);
+}
+
+/* Move a download method up or down in the settings view */
+function moveMethod(index, direction) {
+  const order = getMethodOrderFromForm();
+  const [method] = order.splice(index, 1);
+  order.splice(index + direction, 0, method);
+  renderMethodOrder(order);
+}
+
+/* Fill the settings form from saved settings */
+function renderSettings(settings) {
+  const autoStartSetting = document.getElementById("autoStartSetting");
+  const previewBeforeSaveSetting = document.getElementById("previewBeforeSaveSetting");
+  const custodySidecarSetting = document.getElementById("custodySidecarSetting");
+  const defaultFormatSetting = document.getElementById("defaultFormatSetting");
+  const filenameTemplateSetting = document.getElementById("filenameTemplateSetting");
+
+  if (autoStartSetting) {
+    autoStartSetting.checked = settings.autoStart;
+  }
+
+  if (previewBeforeSaveSetting) {
+    previewBeforeSaveSetting.checked = settings.previewBeforeSave;
+  }
+
+  if (custodySidecarSetting) {
+    custodySidecarSetting.checked = settings.custodySidecar;
+  }
+
+  const calendarIncludeMimeSetting = document.getElementById("calendarIncludeMimeSetting");
+  if (calendarIncludeMimeSetting) {
+    calendarIncludeMimeSetting.checked = settings.calendarIncludeMime;
+  }
+
+  const redactedCopySetting = document.getElementById("redactedCopySetting");
+  if (redactedCopySetting) {
+    redactedCopySetting.checked = settings.redactedCopy;
+    document.getElementById("redactBccSetting").checked = settings.redactBcc;
+    document.getElementById("redactInternalHeadersSetting").checked = settings.redactInternalHeaders;
+    document.getElementById("redactRemoteImagesSetting").checked = settings.redactRemoteImages;
+    document.getElementById("redactPseudonymizeSetting").checked = settings.redactPseudonymize;
+  }
+
+  if (defaultFormatSetting) {
+    renderFormatOptions(defaultFormatSetting, settings.defaultFormat);
+  }
+
+  if (filenameTemplateSetting) {
+    filenameTemplateSetting.value = settings.filenameTemplate;
+  }
+
+  const largeMessageWarningSetting = document.getElementById("largeMessageWarningSetting");
+  if (largeMessageWarningSetting) {
+    largeMessageWarningSetting.value = settings.largeMessageWarningMb;
+  }
+
+  const destinationSetting = document.getElementById("destinationSetting");
+  const uploadConflictSetting = document.getElementById("uploadConflictSetting");
+
+  if (destinationSetting) {
+    destinationSetting.value = settings.destination;
+    document.getElementById("uploadFolderSetting").value = settings.uploadFolder;
+    document.getElementById("uploadDriveIdSetting").value = settings.uploadDriveId;
+  }
+
+  const reportMoveSetting = document.getElementById("reportMoveSetting");
+  if (reportMoveSetting) {
+    document.getElementById("reportRecipientSetting").value = settings.reportRecipient;
+    document.getElementById("reportSubjectSetting").value = settings.reportSubjectTemplate;
+    reportMoveSetting.innerHTML = "";
+    Object.keys(REPORT_MOVE_DESTINATIONS).forEach((id) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = REPORT_MOVE_DESTINATIONS[id].label;
+      option.selected = id === settings.reportMoveTo;
+      reportMoveSetting.appendChild(option);
+    });
+  }
+
+  if (uploadConflictSetting) {
+    uploadConflictSetting.innerHTML = "";
+    Object.keys(UPLOAD_CONFLICT_BEHAVIORS).forEach((id) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = UPLOAD_CONFLICT_BEHAVIORS[id];
+      option.selected = id === settings.uploadConflictBehavior;
+      uploadConflictSetting.appendChild(option);
+    });
+  }
+
+  renderMethodOrder(settings.methodOrder);
+}
+
+/* Show the export history, newest first, with a re-download button for cached copies */
+async function renderHistory() {
+  const historyList = document.getElementById("historyList");
+  if (!historyList) {
+    return;
+  }
+
+  historyList.innerHTML = "";
+  const entries = await getHistoryEntries();
+
+  if (entries.length === 0) {
+    const emptyItem = document.createElement('li');
+    emptyItem.textContent = "No exports yet";
+    historyList.appendChild(emptyItem);
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const listItem = document.createElement('li');
+    listItem.textContent = `${new Date(entry.exportedAt).toLocaleString()} - ${entry.subject || "(No Subject)"} (${entry.filename}, ${entry.method}) `;
+
+    if (entry.blob) {
+      const redownloadButton = document.createElement('button');
+      redownloadButton.textContent = "Download again";
+      redownloadButton.onclick = () => redownloadHistoryEntry(entry.id);
+      listItem.appendChild(redownloadButton);
+    }
+
+    historyList.appendChild(listItem);
+  });
+}
+
+/* Show or hide the history view */
+async function toggleHistory() {
+  const historyView = document.getElementById("history-view");
+  const statusDiv = document.getElementById("status");
+  if (!historyView) {
+    return;
+  }
+
+  if (historyView.style.display !== "none") {
+    historyView.style.display = "none";
+    return;
+  }
+
+  try {
+    await renderHistory();
+    historyView.style.display = "block";
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - Export history unavailable: ${error.message}`;
+    }
+  }
+}
+
+/* Save a cached copy from the history again, without contacting the mailbox */
+async function redownloadHistoryEntry(id) {
+  const statusDiv = document.getElementById("status");
+
+  try {
+    const entry = await getHistoryEntry(id);
+    if (!entry || !entry.blob) {
+      throw new Error("The cached copy of this export is no longer available");
+    }
+
+    const uploadedItem = await deliverExport(entry.blob, entry.filename, statusDiv);
+    if (statusDiv) {
+      statusDiv.className = "success";
+      statusDiv.textContent = `✅ SED Email Downloader - ${entry.filename} saved from the export history`;
+      showUploadedFiles(statusDiv, [uploadedItem]);
+    }
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - ${error.message}`;
+    }
+  }
+}
+
+/* Save the export history as a CSV file */
+async function exportHistoryCsv() {
+  const statusDiv = document.getElementById("status");
+
+  try {
+    const csv = createHistoryCsv(await getHistoryEntries());
+    const timestamp = new Date().toISOString().substring(0, 19).replace(/[:T]/g, '-');
+    const uploadedItem = await deliverExport(new Blob([csv], { type: "text/csv" }), `export-history-${timestamp}.csv`, statusDiv);
+    if (statusDiv) {
+      statusDiv.className = "success";
+      statusDiv.textContent = "✅ SED Email Downloader - Export history saved as CSV";
+      showUploadedFiles(statusDiv, [uploadedItem]);
+    }
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - ${error.message}`;
+    }
+  }
+}
+
+/* Delete the export history after confirming */
+async function clearHistoryEntries() {
+  const statusDiv = document.getElementById("status");
+  if (!statusDiv || !await confirmInPane(statusDiv, "⚠️ Delete the export history and all cached copies?\n")) {
+    return;
+  }
+
+  try {
+    await clearHistory();
+    await renderHistory();
+    statusDiv.className = "success";
+    statusDiv.textContent = "✅ SED Email Downloader - Export history cleared";
+  } catch (error) {
+    statusDiv.className = "error";
+    statusDiv.textContent = `❌ SED Email Downloader - ${error.message}`;
+  }
+}
+
+/* Show or hide the settings view */
+function toggleSettings() {
+  const settingsView = document.getElementById("settings-view");
+  if (!settingsView) {
+    return;
+  }
+
+  const isHidden = settingsView.style.display === "none";
+  if (isHidden) {
+    renderSettings(getSettings());
+  }
+  settingsView.style.display = isHidden ? "block" : "none";
+}
+
+/* Fill a select with the export formats */
+function renderFormatOptions(select, selectedId) {
+  select.innerHTML = "";
+  Object.keys(EXPORT_FORMATS).forEach((id) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = EXPORT_FORMATS[id].label;
+    option.selected = id === selectedId;
+    select.appendChild(option);
+  });
+}
+
+/* Show the format picker next to the download button, starting at the default format */
+function renderFormatPicker() {
+  const formatSelect = document.getElementById("formatSelect");
+  if (formatSelect) {
+    renderFormatOptions(formatSelect, getSettings().defaultFormat);
+  }
+}
+
+/* Save the settings form to roaming settings */
+async function saveSettingsFromForm() {
+  const statusDiv = document.getElementById("status");
+
+  try {
+    await saveSettings({
+      autoStart: document.getElementById("autoStartSetting").checked,
+      methodOrder: getMethodOrderFromForm(),
+      defaultFormat: document.getElementById("defaultFormatSetting").value,
+      filenameTemplate: document.getElementById("filenameTemplateSetting").value.trim() || DEFAULT_FILENAME_TEMPLATE,
+      previewBeforeSave: document.getElementById("previewBeforeSaveSetting").checked,
+      custodySidecar: document.getElementById("custodySidecarSetting").checked,
+      calendarIncludeMime: document.getElementById("calendarIncludeMimeSetting").checked,
+      largeMessageWarningMb: Math.max(0, parseInt(document.getElementById("largeMessageWarningSetting").value, 10) || 0),
+      destination: document.getElementById("destinationSetting").value,
+      uploadFolder: document.getElementById("uploadFolderSetting").value.trim(),
+      uploadDriveId: document.getElementById("uploadDriveIdSetting").value.trim(),
+      uploadConflictBehavior: document.getElementById("uploadConflictSetting").value,
+      redactedCopy: document.getElementById("redactedCopySetting").checked,
+      redactBcc: document.getElementById("redactBccSetting").checked,
+      redactInternalHeaders: document.getElementById("redactInternalHeadersSetting").checked,
+      redactRemoteImages: document.getElementById("redactRemoteImagesSetting").checked,
+      redactPseudonymize: document.getElementById("redactPseudonymizeSetting").checked,
+      reportRecipient: document.getElementById("reportRecipientSetting").value.trim(),
+      reportSubjectTemplate: document.getElementById("reportSubjectSetting").value.trim() || DEFAULT_SETTINGS.reportSubjectTemplate,
+      reportMoveTo: document.getElementById("reportMoveSetting").value
+    });
+    renderFormatPicker();
+
+    if (statusDiv) {
+      statusDiv.className = "success";
+      statusDiv.textContent = "✅ SED Email Downloader - Settings saved";
+    }
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - ${error.message}`;
+    }
+  }
+}
+
+/* Restore the default settings */
+async function resetSettingsToDefaults() {
+  const statusDiv = document.getElementById("status");
+
+  try {
+    renderSettings(await resetSettings());
+    renderFormatPicker();
+    if (statusDiv) {
+      statusDiv.className = "success";
+      statusDiv.textContent = "✅ SED Email Downloader - Settings reset to defaults";
+    }
+  } catch (error) {
+    if (statusDiv) {
+      statusDiv.className = "error";
+      statusDiv.textContent = `❌ SED Email Downloader - ${error.message}`;
+    }
+  }
+}
+
+/* Wire up the task pane controls to their handlers */
+function bindEventHandlers() {
+  const handlers = {
+    downloadBtn: downloadEmailAsEml,
+    downloadSelectedBtn: downloadSelectedEmailsAsZip,
+    cancelBtn: cancelExport,
+    attachmentsBtn: toggleAttachments,
+    analyzeBtn: toggleAnalysis,
+    exportAnalysisJsonBtn: exportAnalysisJson,
+    reportBtn: toggleReport,
+    sendReportBtn: submitSecurityReport,
+    selectAllAttachments: selectAllAttachments,
+    saveAttachmentsBtn: () => saveSelectedAttachments(false),
+    saveAttachmentsZipBtn: () => saveSelectedAttachments(true),
+    exportThreadBtn: () => downloadMbox("conversation"),
+    exportFolderBtn: () => downloadMbox("folder"),
+    searchBtn: toggleSearch,
+    searchCountBtn: previewSearchCount,
+    searchExportBtn: exportSearchResults,
+    signOutBtn: signOutAccount,
+    historyBtn: toggleHistory,
+    exportHistoryCsvBtn: exportHistoryCsv,
+    clearHistoryBtn: clearHistoryEntries,
+    settingsBtn: toggleSettings,
+    saveSettingsBtn: saveSettingsFromForm,
+    resetSettingsBtn: resetSettingsToDefaults
+  };
+
+  Object.keys(handlers).forEach((id) => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.onclick = handlers[id];
+    }
+  });
+
+  ["folderSelect", "searchFolderSelect"].forEach((id) => {
+    const folderSelect = document.getElementById(id);
+    if (folderSelect) {
+      folderSelect.onfocus = () => loadMailFolders(folderSelect);
+    }
+  });
+
+  const accountSelect = document.getElementById("accountSelect");
+  if (accountSelect) {
+    accountSelect.onchange = changeAccount;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', bindEventHandlers);
+
+/* Initialize Office add-in */
+Office.onReady((info) => {
+  if (info.host === Office.HostType.Outlook) {
+    // Hide the sideload message, show the app
+    const sideloadMsg = document.getElementById("sideload-msg");
+    const appBody = document.getElementById("app-body");
+    
+    if (sideloadMsg) {
+      sideloadMsg.style.display = "none";
+    }
+    
+    if (appBody) {
+      appBody.style.display = "block";
+    }
+
+    // Set up button handlers
+    bindEventHandlers();
+    renderFormatPicker();
+
+    initializeMsal().then(renderAccountPicker).catch(() => renderAccountPicker());
+
+    // Track multi-select changes so the bulk button stays in sync
+    if (Office.context.requirements.isSetSupported("Mailbox", "1.13")) {
+      Office.context.mailbox.addHandlerAsync(Office.EventType.SelectedItemsChanged, updateSelectionUi);
+      updateSelectionUi();
+    }
+
+    // Pinned panes (Mailbox 1.5) are told when the user moves to another item
+    if (Office.context.requirements.isSetSupported("Mailbox", "1.5")) {
+      Office.context.mailbox.addHandlerAsync(Office.EventType.ItemChanged, onItemChanged);
+    }
+    
+    // AUTO-START THE DOWNLOAD after a short delay (single item only, unless turned off)
+    if (Office.context.mailbox.item && getSettings().autoStart) {
+      setTimeout(() => {
+        downloadEmailAsEml();
+      }, 2000);
     }
-    
-    // AUTO-START THE DOWNLOAD after a short delay
-    setTimeout(() => {
-      downloadEmailAsEml();
-    }, 2000);
   }
 });
\ No newline at end of file
@@ -0,0 +1,163 @@
+/* Runs graph.js and upload.js against the local Graph stub (test/graph-stub.js): retries of
+   throttled, failing and dropped requests, the one token refresh on 401, paging through
+   @odata.nextLink, requests that must not be retried, and OneDrive uploads.
+   Run with: node test/graph-flow.js */
+
+const assert = require("assert");
+const { startGraphStub } = require("./graph-stub");
+const { loadScripts } = require("./load-scripts");
+
+let tokenRequests = 0;
+
+/* Send requests for Graph to the stub instead, and stand in for auth.js when graph.js asks for a
+   fresh token. The add-in itself always talks to GRAPH_BASE_URL. */
+function installGlobals(stubUrl) {
+  const realFetch = global.fetch;
+  global.fetch = (url, options) => realFetch(String(url).startsWith(GRAPH_BASE_URL) ? stubUrl + String(url).substring(GRAPH_BASE_URL.length) : url, options);
+  global.getToken = async () => {
+    tokenRequests++;
+    return "refreshed-token";
+  };
+}
+
+function createSession(token) {
+  const waits = [];
+  const session = createGraphSession(token, (ms, reason) => waits.push(reason));
+  return { session, waits };
+}
+
+function countRequests(stub, path) {
+  return stub.state.requests.filter(request => request.path === path).length;
+}
+
+async function testRetries(stub) {
+  const messageUrl = `${GRAPH_BASE_URL}/me/messages/msg-1/$value`;
+  const messagePath = "/v1.0/me/messages/msg-1/$value";
+
+  stub.state.faults.push({ match: messagePath, status: 503 }, { match: messagePath, status: 429, headers: { "Retry-After": "0" } });
+  let { session, waits } = createSession("stub-token");
+  const response = await graphFetch(session, messageUrl);
+  const mime = await (await readResponseWithProgress(response, () => {})).text();
+  assert.ok(mime.includes("Subject: Message 1"), "MIME after retries");
+  assert.deepStrictEqual(waits, ["service busy", "throttled"], "onWait told about each retry");
+
+  stub.state.faults.push({ match: messagePath, drop: true });
+  ({ session, waits } = createSession("stub-token"));
+  await graphFetch(session, messageUrl);
+  assert.deepStrictEqual(waits, ["network error"], "dropped connection retried");
+
+  const before = countRequests(stub, messagePath);
+  for (let i = 0; i <= RETRY_POLICY.maxRetries; i++) {
+    stub.state.faults.push({ match: messagePath, status: 503 });
+  }
+  ({ session } = createSession("stub-token"));
+  await assert.rejects(graphFetch(session, messageUrl), { code: "SERVICE_UNAVAILABLE" });
+  assert.strictEqual(countRequests(stub, messagePath) - before, RETRY_POLICY.maxRetries + 1, "gives up after maxRetries");
+}
+
+async function testTokenRefresh(stub) {
+  const messageUrl = `${GRAPH_BASE_URL}/me/messages/msg-2/$value`;
+
+  tokenRequests = 0;
+  let { session } = createSession("expired-token");
+  await graphFetch(session, messageUrl);
+  assert.strictEqual(tokenRequests, 1, "token refreshed once");
+  assert.strictEqual(session.accessToken, "refreshed-token");
+
+  // A second 401 after the refresh is final
+  tokenRequests = 0;
+  ({ session } = createSession("expired-token"));
+  stub.state.faults.push({ match: "/v1.0/me/messages/msg-2/$value", status: 401 }, { match: "/v1.0/me/messages/msg-2/$value", status: 401 });
+  await assert.rejects(graphFetch(session, messageUrl), { code: "UNAUTHORIZED" });
+  assert.strictEqual(tokenRequests, 1, "no second refresh");
+}
+
+async function testPaging(stub) {
+  const { session } = createSession("stub-token");
+  stub.state.faults.push({ match: "/v1.0/me/messages", status: 429, headers: { "Retry-After": "0" } });
+  const before = countRequests(stub, "/v1.0/me/messages");
+  const messages = await fetchAllGraphPages(session, `${GRAPH_BASE_URL}/me/messages`);
+  assert.strictEqual(messages.length, 25, "all pages read");
+  assert.deepStrictEqual(messages.map(message => message.id), stub.state.messages.map(message => message.id), "pages in order");
+  assert.strictEqual(countRequests(stub, "/v1.0/me/messages") - before, 4, "three pages plus one throttled retry");
+}
+
+async function testNoRetry(stub) {
+  const sendUrl = `${GRAPH_BASE_URL}/me/sendMail`;
+  const send = session => graphFetch(session, sendUrl, {
+    method: "POST",
+    noRetry: true,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ message: { subject: "Report" } })
+  });
+
+  let { session } = createSession("stub-token");
+  stub.state.faults.push({ match: "/v1.0/me/sendMail", status: 503 });
+  await assert.rejects(send(session), { code: "SERVICE_UNAVAILABLE" });
+  assert.strictEqual(countRequests(stub, "/v1.0/me/sendMail"), 1, "a 503 on send is not retried");
+
+  ({ session } = createSession("stub-token"));
+  stub.state.faults.push({ match: "/v1.0/me/sendMail", drop: true });
+  await assert.rejects(send(session), { code: "NETWORK" });
+  assert.strictEqual(countRequests(stub, "/v1.0/me/sendMail"), 2, "a dropped send is not retried");
+
+  ({ session } = createSession("stub-token"));
+  stub.state.faults.push({ match: "/v1.0/me/sendMail", status: 429, headers: { "Retry-After": "0" } });
+  await send(session);
+  assert.strictEqual(stub.state.sentMail.length, 1, "a throttled send is retried and sent once");
+}
+
+async function testUploads(stub) {
+  const { session } = createSession("stub-token");
+  const small = new Blob(["From: a@example.com\r\n\r\nBody\r\n"]);
+
+  const first = await uploadExport(session, small, "Report.eml", { folder: "Exports/Mail" }, () => {});
+  assert.strictEqual(first.name, "Report.eml");
+  const renamed = await uploadExport(session, small, "Report.eml", { folder: "Exports/Mail", conflictBehavior: "rename" }, () => {});
+  assert.strictEqual(renamed.name, "Report 1.eml", "rename on conflict");
+  await assert.rejects(uploadExport(session, small, "Report.eml", { folder: "Exports/Mail", conflictBehavior: "fail" }, () => {}), { code: "CONFLICT" });
+
+  // Over SIMPLE_UPLOAD_LIMIT the file goes through an upload session in UPLOAD_CHUNK_SIZE pieces
+  const large = new Blob([Buffer.alloc(UPLOAD_CHUNK_SIZE * 2 + 1000, 7)]);
+  const progress = [];
+  stub.state.faults.push({ match: "/upload/", status: 503 });
+  const item = await uploadExport(session, large, "Large.msg", { folder: "Exports" }, (sent, total) => progress.push([sent, total]));
+  assert.strictEqual(item.name, "Large.msg");
+  assert.strictEqual(item.size, large.size);
+  assert.ok(stub.state.files.get("Exports/Large.msg").equals(Buffer.from(await large.arrayBuffer())), "uploaded bytes match");
+  assert.deepStrictEqual(progress.map(([sent]) => sent), [UPLOAD_CHUNK_SIZE, UPLOAD_CHUNK_SIZE * 2, large.size], "progress per chunk");
+  const chunkRequests = stub.state.requests.filter(request => request.path.startsWith("/upload/"));
+  assert.strictEqual(chunkRequests.length, 4, "three chunks plus one retried");
+  assert.ok(chunkRequests.every(request => request.authorization === null), "no token sent to the upload URL");
+}
+
+(async () => {
+  const stub = await startGraphStub();
+  let failed = false;
+
+  try {
+    loadScripts(["graph.js", "upload.js"]);
+    installGlobals(stub.url);
+    RETRY_POLICY.baseDelayMs = 5;
+
+    await testRetries(stub);
+    console.log("ok - throttled, failing and dropped requests are retried, then given up");
+    await testTokenRefresh(stub);
+    console.log("ok - 401 refreshes the token once");
+    await testPaging(stub);
+    console.log("ok - pages followed through @odata.nextLink");
+    await testNoRetry(stub);
+    console.log("ok - noRetry requests only retry throttling");
+    await testUploads(stub);
+    console.log("ok - simple and chunked uploads, with name conflicts");
+  } catch (error) {
+    console.error(error);
+    failed = true;
+  } finally {
+    await stub.close();
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,201 @@
+/* A local stand-in for the parts of Microsoft Graph the add-in uses: paged message listings,
+   MIME downloads, sendMail, and OneDrive uploads (simple and through upload sessions) with name
+   conflicts. Tests can queue faults to answer with errors, throttling or dropped connections. */
+
+const http = require("http");
+
+/* Tokens the stub accepts; anything else is answered with 401 */
+const VALID_TOKENS = ["stub-token", "refreshed-token"];
+
+const PAGE_SIZE = 10;
+
+function createMessage(index) {
+  const id = `msg-${index}`;
+  return {
+    id: id,
+    subject: `Message ${index}`,
+    receivedDateTime: new Date(Date.UTC(2024, 0, 1 + index)).toISOString(),
+    mime: `From: sender${index}@example.com\r\nTo: user@example.com\r\nSubject: Message ${index}\r\nMessage-ID: <${id}@example.com>\r\n\r\nBody ${index}\r\n`
+  };
+}
+
+function sendJson(response, status, body, headers) {
+  response.writeHead(status, { "Content-Type": "application/json", ...headers });
+  response.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function sendError(response, status, code, message, headers) {
+  sendJson(response, status, { error: { code: code, message: message } }, headers);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on("data", chunk => chunks.push(chunk));
+    request.on("end", () => resolve(Buffer.concat(chunks)));
+    request.on("error", reject);
+  });
+}
+
+/* Start the stub. state.faults is a queue of { match, status, headers } or { match, drop: true };
+   the first fault whose match is found in a request's path is used once instead of the real answer.
+   state.requests records every request as { method, path, authorization }. */
+function startGraphStub(messageCount = 25) {
+  const state = {
+    messages: Array.from({ length: messageCount }, (value, index) => createMessage(index + 1)),
+    files: new Map(),
+    uploadSessions: new Map(),
+    sentMail: [],
+    faults: [],
+    requests: []
+  };
+  let baseUrl = "";
+
+  const createDriveItem = (path, content, conflictBehavior) => {
+    let name = path;
+    if (state.files.has(name)) {
+      if (conflictBehavior === "fail") {
+        return null;
+      }
+      if (conflictBehavior === "rename") {
+        const dot = path.lastIndexOf(".");
+        for (let n = 1; state.files.has(name); n++) {
+          name = dot > 0 ? `${path.substring(0, dot)} ${n}${path.substring(dot)}` : `${path} ${n}`;
+        }
+      }
+    }
+    state.files.set(name, content);
+    return {
+      id: `item-${state.files.size}`,
+      name: name.split("/").pop(),
+      size: content.length,
+      webUrl: `https://stub.example.com/drive/${encodeURI(name)}`
+    };
+  };
+
+  const handle = async (request, response) => {
+    const url = new URL(request.url, baseUrl);
+    const path = decodeURIComponent(url.pathname);
+    const authorization = request.headers.authorization || null;
+    state.requests.push({ method: request.method, path: path, authorization: authorization });
+
+    const faultIndex = state.faults.findIndex(fault => path.includes(fault.match));
+    if (faultIndex !== -1) {
+      const [fault] = state.faults.splice(faultIndex, 1);
+      if (fault.drop) {
+        request.socket.destroy();
+        return;
+      }
+      await readBody(request);
+      sendError(response, fault.status, fault.code || "stubFault", "Injected by the Graph stub", fault.headers);
+      return;
+    }
+
+    // Upload session URLs are pre-authenticated and refuse a bearer token, as Graph's do
+    const uploadMatch = /^\/upload\/(\d+)$/.exec(path);
+    if (uploadMatch && request.method === "PUT") {
+      const session = state.uploadSessions.get(uploadMatch[1]);
+      const body = await readBody(request);
+      if (!session) {
+        sendError(response, 404, "itemNotFound", "Unknown upload session");
+        return;
+      }
+      if (authorization) {
+        sendError(response, 401, "unauthenticated", "Upload URLs do not take an Authorization header");
+        return;
+      }
+      const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(request.headers["content-range"] || "");
+      if (!range || Number(range[1]) !== session.received.length || Number(range[2]) - Number(range[1]) + 1 !== body.length) {
+        sendError(response, 416, "invalidRange", "Unexpected Content-Range");
+        return;
+      }
+      session.received = Buffer.concat([session.received, body]);
+      if (session.received.length < Number(range[3])) {
+        sendJson(response, 202, { nextExpectedRanges: [`${session.received.length}-`] });
+        return;
+      }
+      state.uploadSessions.delete(uploadMatch[1]);
+      const item = createDriveItem(session.path, session.received, session.conflictBehavior);
+      if (!item) {
+        sendError(response, 409, "nameAlreadyExists", "The name is already in use");
+        return;
+      }
+      sendJson(response, 201, item);
+      return;
+    }
+
+    if (!VALID_TOKENS.includes((authorization || "").replace(/^Bearer /, ""))) {
+      await readBody(request);
+      sendError(response, 401, "InvalidAuthenticationToken", "Access token has expired or is not yet valid.");
+      return;
+    }
+
+    if (request.method === "GET" && path === "/v1.0/me/messages") {
+      const skip = parseInt(url.searchParams.get("$skip"), 10) || 0;
+      const page = state.messages.slice(skip, skip + PAGE_SIZE).map(({ mime, ...message }) => message);
+      const next = skip + PAGE_SIZE < state.messages.length ? `${baseUrl}/v1.0/me/messages?$skip=${skip + PAGE_SIZE}` : undefined;
+      sendJson(response, 200, { value: page, "@odata.nextLink": next });
+      return;
+    }
+
+    const mimeMatch = /^\/v1\.0\/me\/messages\/([^/]+)\/\$value$/.exec(path);
+    if (request.method === "GET" && mimeMatch) {
+      const message = state.messages.find(candidate => candidate.id === mimeMatch[1]);
+      if (!message) {
+        sendError(response, 404, "ErrorItemNotFound", "The specified object was not found in the store.");
+        return;
+      }
+      response.writeHead(200, { "Content-Type": "message/rfc822", "Content-Length": Buffer.byteLength(message.mime) });
+      response.end(message.mime);
+      return;
+    }
+
+    if (request.method === "POST" && path === "/v1.0/me/sendMail") {
+      state.sentMail.push(JSON.parse((await readBody(request)).toString()));
+      sendJson(response, 202);
+      return;
+    }
+
+    const driveMatch = /^\/v1\.0\/me\/drive\/root:\/(.+):\/(content|createUploadSession)$/.exec(path);
+    if (driveMatch && driveMatch[2] === "content" && request.method === "PUT") {
+      const item = createDriveItem(driveMatch[1], await readBody(request), url.searchParams.get("@microsoft.graph.conflictBehavior") || "fail");
+      if (!item) {
+        sendError(response, 409, "nameAlreadyExists", "The name is already in use");
+        return;
+      }
+      sendJson(response, 201, item);
+      return;
+    }
+    if (driveMatch && driveMatch[2] === "createUploadSession" && request.method === "POST") {
+      const body = JSON.parse((await readBody(request)).toString() || "{}");
+      const id = String(state.uploadSessions.size + state.requests.length);
+      state.uploadSessions.set(id, {
+        path: driveMatch[1],
+        conflictBehavior: body.item?.["@microsoft.graph.conflictBehavior"] || "fail",
+        received: Buffer.alloc(0)
+      });
+      sendJson(response, 200, { uploadUrl: `${baseUrl}/upload/${id}` });
+      return;
+    }
+
+    await readBody(request);
+    sendError(response, 404, "notImplemented", `The stub does not handle ${request.method} ${path}`);
+  };
+
+  const server = http.createServer((request, response) => {
+    handle(request, response).catch((error) => sendError(response, 500, "stubError", error.message));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url: `${baseUrl}/v1.0`,
+        state: state,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startGraphStub, VALID_TOKENS };
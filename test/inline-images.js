@@ -0,0 +1,44 @@
+/* Test for embedInlineImages: cid: references in an HTML body are replaced with the message's
+   inline images, and malformed %-escapes in a reference leave it as written instead of failing.
+   Run with: node test/inline-images.js */
+
+const assert = require("assert");
+const { loadScripts } = require("./load-scripts");
+
+loadScripts(["mime.js", "filename.js", "render.js"]);
+
+const MESSAGE = [
+  "From: alice@example.com",
+  "To: bob@example.com",
+  "Subject: Inline images",
+  "MIME-Version: 1.0",
+  'Content-Type: multipart/related; boundary="b1"',
+  "",
+  "--b1",
+  "Content-Type: text/html; charset=utf-8",
+  "",
+  '<p><img src="cid:logo@example.com"><img src="cid:logo%40example.com"><img src="cid:img%zz"><img src="cid:missing"></p>',
+  "--b1",
+  "Content-Type: image/png",
+  "Content-Transfer-Encoding: base64",
+  "Content-ID: <logo@example.com>",
+  "",
+  Buffer.from("PNG").toString("base64"),
+  "--b1--",
+  ""
+].join("\r\n");
+
+function testInlineImages() {
+  const body = getMessageBody(parseMimeEntity(MESSAGE));
+  const html = embedInlineImages(getPartText(body.htmlPart), body.inlineImages);
+  const sources = [...html.matchAll(/src="([^"]*)"/g)].map(match => match[1]);
+
+  assert.strictEqual(sources[0], `data:image/png;base64,${Buffer.from("PNG").toString("base64")}`, "plain reference embedded");
+  assert.strictEqual(sources[1], sources[0], "escaped reference embedded");
+  assert.strictEqual(sources[2], "cid:img%zz", "malformed escape left as written");
+  assert.strictEqual(sources[3], "cid:missing", "unknown reference left as written");
+  assert.strictEqual(embedInlineImages('<img src="cid:img%zz">', {}), '<img src="cid:img%zz">');
+}
+
+testInlineImages();
+console.log("ok - inline images embedded, malformed cid: references kept");
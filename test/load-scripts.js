@@ -0,0 +1,15 @@
+/* Load the add-in's browser scripts into Node's global scope, in the order the pages load them,
+   so tests can call their functions directly. */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+function loadScripts(names) {
+  names.forEach((name) => {
+    const file = path.join(__dirname, "..", name);
+    vm.runInThisContext(fs.readFileSync(file, "utf8"), { filename: file });
+  });
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,365 @@
+/* Round-trip test for the .msg writer: builds messages with createMsgBlob and reads them back
+   with an independent compound file and MSG property reader written from MS-CFB and MS-OXMSG.
+   Run with: node test/msg-roundtrip.js */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const { loadScripts } = require("./load-scripts");
+
+loadScripts(["mime.js", "filename.js", "render.js", "cfb.js", "msg.js"]);
+
+const ENDOFCHAIN = 0xFFFFFFFE;
+const FREESECT = 0xFFFFFFFF;
+const FATSECT = 0xFFFFFFFD;
+const DIFSECT = 0xFFFFFFFC;
+const NOSTREAM = 0xFFFFFFFF;
+
+/* Read a compound file into a tree of { name: Buffer | storage } plus the header facts tests check */
+function readCompoundFile(data) {
+  assert.strictEqual(data.subarray(0, 8).toString("hex"), "d0cf11e0a1b11ae1", "signature");
+  assert.strictEqual(data.readUInt16LE(26), 3, "major version");
+  assert.strictEqual(data.readUInt16LE(28), 0xFFFE, "byte order");
+  assert.strictEqual(data.readUInt16LE(30), 9, "sector shift");
+  assert.strictEqual(data.readUInt16LE(32), 6, "mini sector shift");
+  assert.strictEqual(data.readUInt32LE(56), 4096, "mini stream cutoff");
+  assert.strictEqual((data.length - 512) % 512, 0, "whole sectors");
+
+  const fatCount = data.readUInt32LE(44);
+  const directoryStart = data.readUInt32LE(48);
+  const miniFatStart = data.readUInt32LE(60);
+  const difatStart = data.readUInt32LE(68);
+  const difatCount = data.readUInt32LE(72);
+  const sector = (n) => data.subarray(512 + n * 512, 512 + (n + 1) * 512);
+
+  // FAT sector numbers: 109 in the header, the rest in the DIFAT chain
+  const fatSectors = [];
+  for (let i = 0; i < 109 && fatSectors.length < fatCount; i++) {
+    fatSectors.push(data.readUInt32LE(76 + i * 4));
+  }
+  const difatSectors = [];
+  for (let n = difatStart; n !== ENDOFCHAIN && difatSectors.length < difatCount; n = sector(n).readUInt32LE(508)) {
+    difatSectors.push(n);
+    for (let i = 0; i < 127 && fatSectors.length < fatCount; i++) {
+      fatSectors.push(sector(n).readUInt32LE(i * 4));
+    }
+  }
+  assert.strictEqual(difatSectors.length, difatCount, "DIFAT chain length");
+  assert.strictEqual(fatSectors.length, fatCount, "FAT sectors listed");
+
+  const fat = [];
+  fatSectors.forEach((n) => {
+    for (let i = 0; i < 128; i++) {
+      fat.push(sector(n).readUInt32LE(i * 4));
+    }
+  });
+  fatSectors.forEach(n => assert.strictEqual(fat[n], FATSECT, "FAT sectors marked FATSECT"));
+  difatSectors.forEach(n => assert.strictEqual(fat[n], DIFSECT, "DIFAT sectors marked DIFSECT"));
+  assert.ok((data.length - 512) / 512 <= fat.length, "FAT covers the file");
+
+  const chain = (start) => {
+    const sectors = [];
+    for (let n = start; n !== ENDOFCHAIN; n = fat[n]) {
+      assert.ok(n !== FREESECT && n < fat.length, "chain stays on allocated sectors");
+      sectors.push(n);
+      assert.ok(sectors.length <= fat.length, "chain ends");
+    }
+    return sectors;
+  };
+  const readChain = (start) => Buffer.concat(chain(start).map(sector));
+
+  const directory = readChain(directoryStart);
+  const entries = [];
+  for (let offset = 0; offset < directory.length; offset += 128) {
+    const nameLength = directory.readUInt16LE(offset + 64);
+    entries.push({
+      name: directory.toString("utf16le", offset, offset + Math.max(nameLength - 2, 0)),
+      type: directory[offset + 66],
+      left: directory.readUInt32LE(offset + 68),
+      right: directory.readUInt32LE(offset + 72),
+      child: directory.readUInt32LE(offset + 76),
+      clsid: directory.subarray(offset + 80, offset + 96).toString("hex"),
+      start: directory.readUInt32LE(offset + 116),
+      size: directory.readUInt32LE(offset + 120)
+    });
+  }
+  const root = entries[0];
+  assert.strictEqual(root.type, 5, "root entry type");
+  assert.strictEqual(root.name, "Root Entry");
+
+  const miniStream = root.size > 0 ? readChain(root.start) : Buffer.alloc(0);
+  const miniFat = [];
+  if (miniFatStart !== ENDOFCHAIN) {
+    readChain(miniFatStart).forEach((byte, i, buffer) => {
+      if (i % 4 === 0) {
+        miniFat.push(buffer.readUInt32LE(i));
+      }
+    });
+  }
+
+  const stats = { miniStreams: 0, largeStreams: 0, difatSectors: difatCount };
+  const readStream = (entry) => {
+    if (entry.size === 0) {
+      return Buffer.alloc(0);
+    }
+    if (entry.size < 4096) {
+      stats.miniStreams++;
+      const chunks = [];
+      for (let n = entry.start; n !== ENDOFCHAIN; n = miniFat[n]) {
+        chunks.push(miniStream.subarray(n * 64, (n + 1) * 64));
+      }
+      return Buffer.concat(chunks).subarray(0, entry.size);
+    }
+    stats.largeStreams++;
+    return readChain(entry.start).subarray(0, entry.size);
+  };
+
+  // Siblings must be ordered by name length, then upper-cased name
+  const compare = (a, b) => a.length !== b.length ? a.length - b.length : a.toUpperCase() < b.toUpperCase() ? -1 : a.toUpperCase() > b.toUpperCase() ? 1 : 0;
+  const readStorage = (index) => {
+    const result = { clsid: entries[index].clsid, items: {} };
+    const walk = (i, low, high) => {
+      if (i === NOSTREAM) {
+        return;
+      }
+      const entry = entries[i];
+      assert.ok(low === null || compare(low, entry.name) < 0, `${entry.name} sorts after ${low}`);
+      assert.ok(high === null || compare(entry.name, high) < 0, `${entry.name} sorts before ${high}`);
+      walk(entry.left, low, entry.name);
+      result.items[entry.name] = entry.type === 1 ? readStorage(i) : readStream(entry);
+      walk(entry.right, entry.name, high);
+    };
+    walk(entries[index].child, null, null);
+    return result;
+  };
+
+  return { root: readStorage(0), stats: stats };
+}
+
+/* Read a property storage: the fixed-size values from __properties_version1.0 and the
+   variable-size ones from their __substg1.0_ streams */
+function readProperties(storage, headerSize) {
+  const stream = storage.items["__properties_version1.0"];
+  assert.ok(stream, "property stream present");
+  assert.strictEqual((stream.length - headerSize) % 16, 0, `property stream has a ${headerSize}-byte header`);
+
+  const header = headerSize > 8 ? [8, 12, 16, 20].map(offset => stream.readUInt32LE(offset)) : null;
+  const props = {};
+  for (let offset = headerSize; offset < stream.length; offset += 16) {
+    const tag = stream.readUInt32LE(offset);
+    const type = tag & 0xFFFF;
+    const key = tag.toString(16).toUpperCase().padStart(8, "0");
+    if (type === 0x001F || type === 0x0102) {
+      const size = stream.readUInt32LE(offset + 8);
+      const data = storage.items[`__substg1.0_${key}`];
+      assert.ok(data, `stream for ${key}`);
+      assert.strictEqual(size, data.length + (type === 0x001F ? 2 : 0), `size of ${key}`);
+      props[key] = type === 0x001F ? data.toString("utf16le") : data;
+    } else if (type === 0x000D) {
+      props[key] = storage.items[`__substg1.0_${key}`];
+    } else if (type === 0x0040) {
+      props[key] = new Date(Number(stream.readBigUInt64LE(offset + 8) / 10000n - 11644473600000n));
+    } else if (type === 0x000B) {
+      props[key] = stream.readUInt16LE(offset + 8) === 1;
+    } else {
+      props[key] = stream.readInt32LE(offset + 8);
+    }
+  }
+  return { header: header, props: props };
+}
+
+/* The recipient and attachment storages of a message, in order */
+function listSubStorages(storage, prefix) {
+  return Object.keys(storage.items).filter(name => name.startsWith(prefix)).sort().map(name => storage.items[name]);
+}
+
+const TAG = (name) => MAPI_TAGS[name].toString(16).toUpperCase().padStart(8, "0");
+
+function base64Lines(bytes) {
+  return Buffer.from(bytes).toString("base64").replace(/.{76}/g, "$&\r\n");
+}
+
+async function buildMsg(mime) {
+  const blob = createMsgBlob(parseMimeEntity(mime));
+  return readCompoundFile(Buffer.from(await blob.arrayBuffer()));
+}
+
+async function testMessage() {
+  const logo = crypto.randomBytes(300);
+  const small = crypto.randomBytes(4095);
+  const cutoff = crypto.randomBytes(4096);
+  const mime = [
+    'From: "Alice Sender" <alice@example.com>',
+    'To: "Bob" <bob@example.com>, carol@example.com',
+    'Cc: "Dan, Jr." <dan@example.com>',
+    "Subject: =?UTF-8?B?" + Buffer.from("RE: Quarterly numbers ✓").toString("base64") + "?=",
+    "Date: Tue, 05 Mar 2024 09:00:00 +0000",
+    "Message-ID: <msg1@example.com>",
+    "Importance: high",
+    "MIME-Version: 1.0",
+    'Content-Type: multipart/mixed; boundary="outer"',
+    "",
+    "--outer",
+    'Content-Type: multipart/related; boundary="rel"',
+    "",
+    "--rel",
+    'Content-Type: multipart/alternative; boundary="alt"',
+    "",
+    "--alt",
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    "Hello Bob",
+    "--alt",
+    "Content-Type: text/html; charset=utf-8",
+    "",
+    '<p>Hello <img src="cid:logo@example.com"></p>',
+    "--alt--",
+    "--rel",
+    "Content-Type: image/png",
+    "Content-ID: <logo@example.com>",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(logo),
+    "--rel--",
+    "--outer",
+    'Content-Type: application/octet-stream; name="small.bin"',
+    'Content-Disposition: attachment; filename="small.bin"',
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(small),
+    "--outer",
+    'Content-Type: application/octet-stream; name="cutoff.bin"',
+    'Content-Disposition: attachment; filename="cutoff.bin"',
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(cutoff),
+    "--outer",
+    "Content-Type: message/rfc822",
+    "Content-Disposition: attachment",
+    "",
+    "From: Erin <erin@example.com>",
+    "To: Frank <frank@example.com>",
+    "Subject: Original report",
+    "Date: Mon, 04 Mar 2024 08:00:00 +0000",
+    "MIME-Version: 1.0",
+    'Content-Type: multipart/mixed; boundary="inner"',
+    "",
+    "--inner",
+    "Content-Type: text/plain",
+    "",
+    "Inner body",
+    "--inner",
+    'Content-Type: text/csv; name="data.csv"',
+    'Content-Disposition: attachment; filename="data.csv"',
+    "",
+    "a,b",
+    "--inner--",
+    "--outer--",
+    ""
+  ].join("\r\n");
+
+  const { root, stats } = await buildMsg(utf8ToBinary(mime));
+  assert.strictEqual(root.clsid, Buffer.from(MSG_CLSID).toString("hex"), "root CLSID");
+  assert.ok(root.items["__nameid_version1.0"], "named property storage");
+
+  // Top-level message: 32-byte header with the recipient and attachment counts
+  const message = readProperties(root, 32);
+  assert.deepStrictEqual(message.header, [3, 4, 3, 4], "next ids and counts");
+  const props = message.props;
+  assert.strictEqual(props[TAG("messageClass")], "IPM.Note");
+  assert.strictEqual(props[TAG("subject")], "RE: Quarterly numbers ✓");
+  assert.strictEqual(props[TAG("subjectPrefix")], "RE: ");
+  assert.strictEqual(props[TAG("normalizedSubject")], "Quarterly numbers ✓");
+  assert.strictEqual(props[TAG("senderEmailAddress")], "alice@example.com");
+  assert.strictEqual(props[TAG("sentRepresentingName")], "Alice Sender");
+  assert.strictEqual(props[TAG("displayTo")], "Bob; carol@example.com");
+  assert.strictEqual(props[TAG("displayCc")], "Dan, Jr.");
+  assert.strictEqual(props[TAG("internetMessageId")], "<msg1@example.com>");
+  assert.strictEqual(props[TAG("importance")], 2);
+  assert.strictEqual(props[TAG("hasAttachments")], true);
+  assert.strictEqual(props[TAG("clientSubmitTime")].toISOString(), "2024-03-05T09:00:00.000Z");
+  assert.strictEqual(props[TAG("body")].trim(), "Hello Bob");
+  assert.strictEqual(props[TAG("html")].toString("utf8").trim(), '<p>Hello <img src="cid:logo@example.com"></p>');
+  assert.strictEqual(props[TAG("internetCodepage")], 65001);
+  assert.ok(props[TAG("transportMessageHeaders")].includes("Message-ID: <msg1@example.com>"));
+
+  // Recipients: 8-byte headers
+  const recipients = listSubStorages(root, "__recip_version1.0_#").map(storage => readProperties(storage, 8).props);
+  assert.deepStrictEqual(recipients.map(r => [r[TAG("recipientType")], r[TAG("displayName")], r[TAG("smtpAddress")]]), [
+    [1, "Bob", "bob@example.com"],
+    [1, "carol@example.com", "carol@example.com"],
+    [2, "Dan, Jr.", "dan@example.com"]
+  ]);
+
+  // Attachments: 8-byte headers; data on both sides of the mini stream cutoff
+  const attachments = listSubStorages(root, "__attach_version1.0_#");
+  const attachmentProps = attachments.map(storage => readProperties(storage, 8).props);
+  assert.strictEqual(attachmentProps[0][TAG("attachContentId")], "logo@example.com");
+  assert.strictEqual(attachmentProps[0][TAG("attachmentHidden")], true);
+  assert.ok(attachmentProps[0][TAG("attachDataBinary")].equals(logo), "inline image data");
+  assert.strictEqual(attachmentProps[1][TAG("attachLongFilename")], "small.bin");
+  assert.strictEqual(attachmentProps[1][TAG("attachExtension")], ".bin");
+  assert.ok(attachmentProps[1][TAG("attachDataBinary")].equals(small), "4095-byte attachment from the mini stream");
+  assert.ok(attachmentProps[2][TAG("attachDataBinary")].equals(cutoff), "4096-byte attachment from regular sectors");
+  assert.strictEqual(attachmentProps[2][TAG("attachSize")], 4096);
+
+  // Attached message: an embedded message storage with a 24-byte header and its own parts
+  assert.strictEqual(attachmentProps[3][TAG("attachMethod")], 5);
+  assert.strictEqual(attachmentProps[3][TAG("displayName")], "Original report");
+  const embeddedStorage = attachments[3].items[`__substg1.0_${TAG("attachDataObject")}`];
+  assert.ok(embeddedStorage && embeddedStorage.items, "embedded message storage");
+  assert.ok(!embeddedStorage.items["__nameid_version1.0"], "no named property storage in embedded messages");
+  const embedded = readProperties(embeddedStorage, 24);
+  assert.deepStrictEqual(embedded.header, [1, 1, 1, 1], "embedded next ids and counts");
+  assert.strictEqual(embedded.props[TAG("subject")], "Original report");
+  assert.strictEqual(embedded.props[TAG("senderEmailAddress")], "erin@example.com");
+  assert.strictEqual(embedded.props[TAG("body")].trim(), "Inner body");
+  const embeddedRecipient = readProperties(listSubStorages(embeddedStorage, "__recip_version1.0_#")[0], 8).props;
+  assert.strictEqual(embeddedRecipient[TAG("smtpAddress")], "frank@example.com");
+  const embeddedAttachment = readProperties(listSubStorages(embeddedStorage, "__attach_version1.0_#")[0], 8).props;
+  assert.strictEqual(embeddedAttachment[TAG("attachLongFilename")], "data.csv");
+  assert.strictEqual(embeddedAttachment[TAG("attachDataBinary")].toString(), "a,b");
+
+  assert.ok(stats.miniStreams > 0 && stats.largeStreams > 0, "both stream kinds used");
+  assert.strictEqual(stats.difatSectors, 0, "small file needs no DIFAT sectors");
+}
+
+async function testLargeAttachment() {
+  // More than 109 FAT sectors (about 7 MB), so the FAT is listed through DIFAT sectors
+  const large = crypto.randomBytes(8 * 1024 * 1024);
+  const mime = [
+    "From: alice@example.com",
+    "To: bob@example.com",
+    "Subject: Large",
+    "Date: Tue, 05 Mar 2024 09:00:00 +0000",
+    "MIME-Version: 1.0",
+    'Content-Type: multipart/mixed; boundary="b"',
+    "",
+    "--b",
+    "Content-Type: text/plain",
+    "",
+    "See attached",
+    "--b",
+    'Content-Type: application/octet-stream; name="large.bin"',
+    'Content-Disposition: attachment; filename="large.bin"',
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(large),
+    "--b--",
+    ""
+  ].join("\r\n");
+
+  const { root, stats } = await buildMsg(mime);
+  assert.ok(stats.difatSectors > 0, "DIFAT sectors used");
+  const attachment = readProperties(listSubStorages(root, "__attach_version1.0_#")[0], 8).props;
+  assert.ok(attachment[TAG("attachDataBinary")].equals(large), "8 MB attachment read back");
+}
+
+(async () => {
+  await testMessage();
+  console.log("ok - message, recipients, attachments and embedded message round-trip");
+  await testLargeAttachment();
+  console.log("ok - large attachment through DIFAT sectors");
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+/* Save exports to OneDrive or a SharePoint document library through Graph instead of a browser download */
+
+/* Requested only when the user uploads, so mail-only use never asks for file access */
+const UPLOAD_SCOPES = ["https://graph.microsoft.com/Files.ReadWrite.All"];
+
+/* Graph accepts PUT .../content up to 4 MB; larger files need an upload session */
+const SIMPLE_UPLOAD_LIMIT = 4 * 1024 * 1024;
+
+/* Upload session chunks must be a multiple of 320 KiB */
+const UPLOAD_CHUNK_SIZE = 320 * 1024 * 16;
+
+/* How name conflicts in the destination folder are resolved */
+const UPLOAD_CONFLICT_BEHAVIORS = {
+  rename: "Keep both (add a number)",
+  replace: "Replace the existing file",
+  fail: "Fail the upload"
+};
+
+/* The drive to upload to: the user's OneDrive, or a SharePoint library by its drive id */
+function getUploadDriveUrl(driveId) {
+  return driveId ? `${GRAPH_BASE_URL}/drives/${encodeURIComponent(driveId)}` : `${GRAPH_BASE_URL}/me/drive`;
+}
+
+/* Build the drive path of the uploaded file, encoding each segment but keeping the slashes */
+function getUploadPath(folder, filename) {
+  return (folder || "").split("/")
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .concat(filename)
+    .map(encodeURIComponent)
+    .join("/");
+}
+
+/* Upload a small file in one request */
+async function uploadSmallFile(session, itemUrl, blob, conflictBehavior) {
+  const response = await graphFetch(session, `${itemUrl}:/content?@microsoft.graph.conflictBehavior=${conflictBehavior}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/octet-stream"
+    },
+    body: blob
+  });
+  return response.json();
+}
+
+/* Send a blob in chunks to a Graph upload session and return the body of the response that
+   completed it. Drive items and mail attachments use the same protocol, except that drive
+   sessions answer 202 until the upload is complete while attachment sessions answer 200. */
+async function sendUploadSessionChunks(session, uploadUrl, blob, chunkSize, onProgress) {
+  try {
+    let offset = 0;
+
+    while (offset < blob.size) {
+      const end = Math.min(offset + chunkSize, blob.size);
+      // The upload URL is pre-authenticated; sending the Graph token to it is refused
+      const response = await graphFetch(session, uploadUrl, {
+        method: "PUT",
+        preAuthenticated: true,
+        headers: {
+          "Content-Range": `bytes ${offset}-${end - 1}/${blob.size}`
+        },
+        body: blob.slice(offset, end)
+      });
+
+      const text = await response.text();
+      const progress = text ? JSON.parse(text) : {};
+      if (response.status === 201 || (response.status === 200 && !progress.nextExpectedRanges)) {
+        onProgress(blob.size, blob.size);
+        return progress;
+      }
+
+      // The service says where to continue, which also resumes after a partially received chunk
+      const nextRange = progress.nextExpectedRanges?.[0];
+      offset = nextRange ? parseInt(nextRange.split("-")[0], 10) : end;
+      onProgress(offset, blob.size);
+    }
+
+    throw createDownloadError("UNKNOWN", "Upload session ended without creating the file");
+  } catch (error) {
+    // Abandon the session so the partial upload does not linger
+    fetch(uploadUrl, { method: "DELETE" }).catch(() => {});
+    throw error;
+  }
+}
+
+/* Upload a large file in chunks through a resumable upload session */
+async function uploadLargeFile(session, itemUrl, blob, conflictBehavior, onProgress) {
+  const sessionResponse = await graphFetch(session, `${itemUrl}:/createUploadSession`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ item: { "@microsoft.graph.conflictBehavior": conflictBehavior } })
+  });
+  const { uploadUrl } = await sessionResponse.json();
+
+  return sendUploadSessionChunks(session, uploadUrl, blob, UPLOAD_CHUNK_SIZE, onProgress);
+}
+
+/* Upload an exported file and return the created drive item ({ name, webUrl, ... }) */
+async function uploadExport(session, blob, filename, options, onProgress) {
+  const conflictBehavior = UPLOAD_CONFLICT_BEHAVIORS[options.conflictBehavior] ? options.conflictBehavior : "rename";
+  const itemUrl = `${getUploadDriveUrl(options.driveId)}/root:/${getUploadPath(options.folder, filename)}`;
+
+  if (blob.size <= SIMPLE_UPLOAD_LIMIT) {
+    const item = await uploadSmallFile(session, itemUrl, blob, conflictBehavior);
+    onProgress(blob.size, blob.size);
+    return item;
+  }
+
+  return uploadLargeFile(session, itemUrl, blob, conflictBehavior, onProgress);
+}